@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+
+const _matrix = new THREE.Matrix4();
+const _cameraPosition = new THREE.Vector3();
+
+// Places the whole assembly on a real-world surface found with the WebXR
+// hit-test feature. Parts keep their own transforms; the placement is applied
+// on top of them as one matrix, so parts dragged around in AR stay where they
+// were put when the assembly is rotated, scaled or the session ends.
+export class ARPlacement extends THREE.EventDispatcher {
+    constructor(renderer, scene, models) {
+        super();
+        this.renderer = renderer;
+        this.scene = scene;
+        this.models = models;
+
+        this.hitTestSource = null;
+        this.placed = false;
+        this.position = new THREE.Vector3();
+        this.rotation = 0;
+        this.scale = 1;
+        this.minScale = 0.1;
+        this.maxScale = 10;
+
+        // Bottom center of the assembly, which is what sits on the surface.
+        this.anchor = new THREE.Vector3();
+        this.relativeMatrices = new Map();
+
+        this.reticle = new THREE.Mesh(
+            new THREE.RingGeometry(0.075, 0.1, 32).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: 0xffffff })
+        );
+        this.reticle.matrixAutoUpdate = false;
+        this.reticle.visible = false;
+        this.scene.add(this.reticle);
+
+        // The first tap places the assembly, later ones are passed on.
+        this.onSelect = () => {
+            if (this.placed) {
+                this.dispatchEvent({ type: 'select', controller: this.controller });
+            } else {
+                this.place();
+            }
+        };
+        this.controller = this.renderer.xr.getController(0);
+        this.controller.addEventListener('select', this.onSelect);
+        this.scene.add(this.controller);
+    }
+
+    async start() {
+        const session = this.renderer.xr.getSession();
+        const viewerSpace = await session.requestReferenceSpace('viewer');
+        this.hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
+
+        // Everything is in 1:1 metres from here on, relative to the desktop layout.
+        const box = new THREE.Box3();
+        this.models.forEach(model => box.expandByObject(model));
+        if (box.isEmpty()) {
+            this.anchor.set(0, 0, 0);
+        } else {
+            box.getCenter(this.anchor);
+            this.anchor.y = box.min.y;
+        }
+        this.captureRelativeMatrices();
+        this.setModelsVisible(false);
+    }
+
+    end() {
+        if (this.hitTestSource) {
+            this.hitTestSource.cancel();
+            this.hitTestSource = null;
+        }
+        // Put the parts back into desktop space, keeping any moves made in AR.
+        if (this.placed) {
+            this.captureRelativeMatrices();
+        }
+        this.relativeMatrices.forEach((matrix, model) => {
+            matrix.decompose(model.position, model.quaternion, model.scale);
+        });
+        this.placed = false;
+        this.reticle.visible = false;
+        this.relativeMatrices.clear();
+        this.setModelsVisible(true);
+        this.dispatchEvent({ type: 'end' });
+    }
+
+    update(frame) {
+        if (!frame || !this.hitTestSource || this.placed) return;
+
+        const referenceSpace = this.renderer.xr.getReferenceSpace();
+        const results = frame.getHitTestResults(this.hitTestSource);
+        if (results.length > 0) {
+            const pose = results[0].getPose(referenceSpace);
+            this.reticle.visible = true;
+            this.reticle.matrix.fromArray(pose.transform.matrix);
+        } else {
+            this.reticle.visible = false;
+        }
+    }
+
+    place() {
+        if (!this.reticle.visible) return;
+
+        this.position.setFromMatrixPosition(this.reticle.matrix);
+        // Turn the front of the product (+Z) towards the viewer.
+        this.renderer.xr.getCamera().getWorldPosition(_cameraPosition);
+        this.rotation = Math.atan2(_cameraPosition.x - this.position.x, _cameraPosition.z - this.position.z);
+        this.scale = 1;
+
+        this.placed = true;
+        this.reticle.visible = false;
+        this.applyPlacement();
+        this.setModelsVisible(true);
+        this.dispatchEvent({ type: 'place' });
+    }
+
+    // Hide the assembly again and go back to looking for a surface.
+    resetPlacement() {
+        if (!this.placed) return;
+        this.captureRelativeMatrices();
+        this.placed = false;
+        this.setModelsVisible(false);
+        this.dispatchEvent({ type: 'reset' });
+    }
+
+    rotateBy(angle) {
+        if (!this.placed) return;
+        this.captureRelativeMatrices();
+        this.rotation += angle;
+        this.applyPlacement();
+    }
+
+    setScale(scale) {
+        if (!this.placed) return;
+        this.captureRelativeMatrices();
+        this.scale = THREE.MathUtils.clamp(scale, this.minScale, this.maxScale);
+        this.applyPlacement();
+    }
+
+    getPlacementMatrix(target) {
+        return target.compose(
+            this.position,
+            new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, this.rotation),
+            new THREE.Vector3(this.scale, this.scale, this.scale)
+        ).multiply(_matrix.makeTranslation(-this.anchor.x, -this.anchor.y, -this.anchor.z));
+    }
+
+    // Store each part's transform in desktop space, undoing the current placement.
+    captureRelativeMatrices() {
+        const inverse = this.placed ? this.getPlacementMatrix(new THREE.Matrix4()).invert() : new THREE.Matrix4();
+        this.relativeMatrices.clear();
+        this.models.forEach(model => {
+            model.updateMatrix();
+            this.relativeMatrices.set(model, new THREE.Matrix4().multiplyMatrices(inverse, model.matrix));
+        });
+    }
+
+    applyPlacement() {
+        const placement = this.getPlacementMatrix(new THREE.Matrix4());
+        this.relativeMatrices.forEach((matrix, model) => {
+            _matrix.multiplyMatrices(placement, matrix);
+            _matrix.decompose(model.position, model.quaternion, model.scale);
+        });
+    }
+
+    setModelsVisible(visible) {
+        this.models.forEach(model => {
+            model.visible = visible;
+        });
+    }
+
+    dispose() {
+        this.controller.removeEventListener('select', this.onSelect);
+        this.scene.remove(this.controller);
+        this.scene.remove(this.reticle);
+        this.reticle.geometry.dispose();
+        this.reticle.material.dispose();
+    }
+}
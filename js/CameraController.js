@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+
+// Views every product has, as directions from the centre of the parts. A
+// manifest camera with the same name replaces one.
+export const STANDARD_VIEWS = [
+    { name: 'front', label: 'Front', direction: new THREE.Vector3(0, 0, 1) },
+    { name: 'side', label: 'Side', direction: new THREE.Vector3(1, 0, 0) },
+    { name: 'top', label: 'Top', direction: new THREE.Vector3(0, 1, 0) },
+    { name: 'iso', label: 'Isometric', direction: new THREE.Vector3(1, 1, 1).normalize() }
+];
+
+const TRANSITION_DURATION = 0.8;
+// Room left around the parts when they are framed, and how much further out
+// than that the user may zoom.
+const FIT_MARGIN = 1.15;
+const MAX_DISTANCE_FACTOR = 4;
+
+const _spherical = new THREE.Spherical();
+const _from = new THREE.Spherical();
+const _to = new THREE.Spherical();
+const _offset = new THREE.Vector3();
+
+// Camera views and limits worked out from the bounds of the parts. Views are
+// the standard ones above plus the "cameras" of the product manifest, and
+// moving between them swings the camera around the orbit target instead of
+// cutting through the product. Zoom and polar limits keep the camera outside
+// the parts and above their base, and panning stays near them.
+//
+// Auto-rotation only runs while the view is left alone: any input stops it
+// until autoRotateDelay seconds have passed without any.
+export class CameraController extends THREE.EventDispatcher {
+    constructor(camera, orbitControls, models, options = {}) {
+        super();
+        this.camera = camera;
+        this.orbitControls = orbitControls;
+        this.models = models;
+        this.getCameras = options.getCameras || (() => []);
+        // Standard views use the field of view the camera started with, as
+        // authored views may change it.
+        this.fov = camera.fov;
+
+        this.bounds = new THREE.Box3();
+        this.sphere = new THREE.Sphere();
+        this.animation = null;
+        this.autoRotate = false;
+        this.autoRotateDelay = 3;
+        // Idle from the start, so auto-rotation begins right away.
+        this.idleTime = Infinity;
+        this.reducedMotion = false;
+
+        this.onInput = () => this.interrupt();
+        this.orbitControls.domElement.addEventListener('pointerdown', this.onInput);
+        this.orbitControls.domElement.addEventListener('wheel', this.onInput);
+    }
+
+    getViews() {
+        const views = STANDARD_VIEWS.map(({ name, label }) => ({ name, label }));
+        this.getCameras().forEach(camera => {
+            if (!views.some(view => view.name === camera.name)) {
+                views.push({ name: camera.name, label: camera.label || camera.name });
+            }
+        });
+        return views;
+    }
+
+    // { position, target, fov } of a view, or null if there is no such view.
+    getViewPose(name) {
+        const authored = this.getCameras().find(camera => camera.name === name);
+        if (authored) {
+            return { position: authored.position.clone(), target: authored.target.clone(), fov: authored.fov || null };
+        }
+        const view = STANDARD_VIEWS.find(candidate => candidate.name === name);
+        if (!view) return null;
+        const target = this.sphere.center.clone();
+        return { position: view.direction.clone().multiplyScalar(this.getFitDistance()).add(target), target, fov: this.fov };
+    }
+
+    // Go to a view by name or to a { position, target, fov } pose. Animated
+    // unless animate is false or reduced motion is on.
+    setView(view, { animate = true, duration = TRANSITION_DURATION } = {}) {
+        const pose = typeof view === 'string' ? this.getViewPose(view) : view;
+        if (!pose) {
+            throw new Error(`Unknown camera view: ${view}`);
+        }
+        this.animation = {
+            from: { position: this.camera.position.clone(), target: this.orbitControls.target.clone(), fov: this.camera.fov },
+            to: { position: pose.position.clone(), target: pose.target.clone(), fov: pose.fov || this.camera.fov },
+            duration: animate && !this.reducedMotion ? duration : 0,
+            elapsed: 0
+        };
+        this.animate(0);
+    }
+
+    // Work out the views and limits for the current parts. Returns false if
+    // there is nothing to frame.
+    fit() {
+        this.bounds.makeEmpty();
+        this.models.forEach(model => this.bounds.expandByObject(model));
+        if (this.bounds.isEmpty()) return false;
+
+        this.bounds.getBoundingSphere(this.sphere);
+        this.sphere.radius = Math.max(this.sphere.radius, 1e-3);
+        const radius = this.sphere.radius;
+        const distance = this.getFitDistance();
+        const controls = this.orbitControls;
+
+        // On the bounding sphere the camera can't be inside a part. Authored
+        // views may be further out than the limit.
+        controls.minDistance = radius;
+        controls.maxDistance = this.getCameras().reduce(
+            (max, camera) => Math.max(max, camera.position.distanceTo(camera.target)),
+            distance * MAX_DISTANCE_FACTOR
+        );
+        // Low enough to look level with the base of the parts from the
+        // framing distance, but not up from under the floor.
+        const height = this.sphere.center.y - this.bounds.min.y;
+        controls.minPolarAngle = 0;
+        controls.maxPolarAngle = Math.PI / 2 + Math.asin(Math.min(height / distance, 1));
+
+        this.camera.near = radius / 100;
+        this.camera.far = (controls.maxDistance + radius) * 10;
+        this.camera.updateProjectionMatrix();
+        return true;
+    }
+
+    // Distance at which the bounding sphere fits the view either way.
+    getFitDistance() {
+        const vertical = THREE.MathUtils.degToRad(this.fov);
+        const horizontal = 2 * Math.atan(Math.tan(vertical / 2) * this.camera.aspect);
+        return this.sphere.radius / Math.sin(Math.min(vertical, horizontal) / 2) * FIT_MARGIN;
+    }
+
+    setAutoRotate(enabled) {
+        this.autoRotate = enabled;
+    }
+
+    // User input: stops a transition and auto-rotation.
+    interrupt() {
+        this.idleTime = 0;
+        this.animation = null;
+    }
+
+    // Called every frame before the orbit controls update.
+    update(delta) {
+        this.idleTime += delta;
+        if (this.animation) {
+            this.animate(delta);
+        }
+        this.orbitControls.autoRotate = this.autoRotate && !this.reducedMotion && !this.animation &&
+            this.idleTime >= this.autoRotateDelay;
+
+        // Panning may go a little past the parts, e.g. to follow an
+        // exploded view, but not lose them.
+        if (!this.bounds.isEmpty()) {
+            _offset.subVectors(this.orbitControls.target, this.sphere.center);
+            if (_offset.length() > this.sphere.radius * 2) {
+                this.orbitControls.target.copy(this.sphere.center).add(_offset.setLength(this.sphere.radius * 2));
+            }
+        }
+    }
+
+    // Swings around the target along the shorter way, with the target, the
+    // distance and the field of view eased in between.
+    animate(delta) {
+        const animation = this.animation;
+        const { from, to } = animation;
+        animation.elapsed += delta;
+        const t = animation.duration > 0 ? Math.min(animation.elapsed / animation.duration, 1) : 1;
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+        _from.setFromVector3(_offset.subVectors(from.position, from.target));
+        _to.setFromVector3(_offset.subVectors(to.position, to.target));
+        let theta = _to.theta - _from.theta;
+        theta -= Math.round(theta / (Math.PI * 2)) * Math.PI * 2;
+        _spherical.set(
+            THREE.MathUtils.lerp(_from.radius, _to.radius, eased),
+            THREE.MathUtils.lerp(_from.phi, _to.phi, eased),
+            _from.theta + theta * eased
+        ).makeSafe();
+
+        this.orbitControls.target.lerpVectors(from.target, to.target, eased);
+        this.camera.position.copy(this.orbitControls.target).add(_offset.setFromSpherical(_spherical));
+        this.camera.fov = THREE.MathUtils.lerp(from.fov, to.fov, eased);
+        this.camera.updateProjectionMatrix();
+        this.camera.lookAt(this.orbitControls.target);
+
+        if (t === 1) {
+            this.animation = null;
+            this.orbitControls.update();
+            this.dispatchEvent({ type: 'end' });
+        }
+    }
+
+    dispose() {
+        this.orbitControls.domElement.removeEventListener('pointerdown', this.onInput);
+        this.orbitControls.domElement.removeEventListener('wheel', this.onInput);
+    }
+}
@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+import { GifEncoder } from './GifEncoder.js';
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Renders stills and turntables of the current view. The renderer is resized
+// to the capture size for the duration of a capture, so the viewer's own
+// animation loop pauses while `busy` is set.
+export class CaptureManager {
+    constructor(sceneManager, orbitControls) {
+        this.sceneManager = sceneManager;
+        this.orbitControls = orbitControls;
+        this.busy = false;
+    }
+
+    getMaxSize() {
+        return this.sceneManager.renderer.capabilities.maxTextureSize;
+    }
+
+    // Resolves to a PNG Blob. width/height default to the canvas size.
+    async captureImage(options = {}) {
+        return this.withCaptureSize(options, async (canvas) => {
+            this.render();
+            return toBlob(canvas, 'image/png');
+        });
+    }
+
+    // Records a full turn of the camera around the orbit target. Resolves to
+    // a WebM or GIF Blob. WebM is recorded in real time, so it takes
+    // `duration` seconds.
+    async recordTurntable(options = {}) {
+        const frames = Math.max(2, Math.round(options.frames ?? 60));
+        const duration = options.duration ?? 4;
+        const format = options.format ?? 'webm';
+        const onProgress = options.onProgress || (() => {});
+
+        return this.withCaptureSize(options, async (canvas, size) => {
+            const camera = this.sceneManager.camera;
+            const target = this.orbitControls.target.clone();
+            const offset = camera.position.clone().sub(target);
+            const setAngle = (index) => {
+                const angle = (index / frames) * Math.PI * 2;
+                camera.position.copy(target).add(offset.clone().applyAxisAngle(THREE.Object3D.DEFAULT_UP, angle));
+                camera.lookAt(target);
+            };
+
+            try {
+                if (format === 'gif') {
+                    return await this.recordGif(canvas, size, frames, duration, setAngle, onProgress);
+                }
+                return await this.recordWebM(canvas, frames, duration, setAngle, onProgress);
+            } finally {
+                camera.position.copy(target).add(offset);
+                camera.lookAt(target);
+            }
+        });
+    }
+
+    async recordGif(canvas, size, frames, duration, setAngle, onProgress) {
+        const encoder = new GifEncoder(size.width, size.height, {
+            delay: (duration * 100) / frames,
+            transparent: this.transparent
+        });
+        const readback = document.createElement('canvas');
+        readback.width = size.width;
+        readback.height = size.height;
+        const context = readback.getContext('2d', { willReadFrequently: true });
+
+        for (let i = 0; i < frames; i++) {
+            setAngle(i);
+            this.render();
+            context.clearRect(0, 0, size.width, size.height);
+            context.drawImage(canvas, 0, 0);
+            encoder.addFrame(context.getImageData(0, 0, size.width, size.height).data);
+            onProgress((i + 1) / frames);
+            // Let the page breathe between frames.
+            await nextFrame();
+        }
+        return new Blob([encoder.finish()], { type: 'image/gif' });
+    }
+
+    async recordWebM(canvas, frames, duration, setAngle, onProgress) {
+        if (!('MediaRecorder' in window) || !canvas.captureStream) {
+            throw new Error('Video recording is not supported in this browser');
+        }
+        const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('WebM recording is not supported in this browser');
+        }
+
+        // A zero frame rate stream only takes frames when asked, one per render.
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        const stopped = new Promise(resolve => {
+            recorder.onstop = resolve;
+        });
+
+        recorder.start();
+        const interval = (duration * 1000) / frames;
+        for (let i = 0; i < frames; i++) {
+            const start = performance.now();
+            setAngle(i);
+            this.render();
+            track.requestFrame();
+            onProgress((i + 1) / frames);
+            await wait(Math.max(0, interval - (performance.now() - start)));
+        }
+        recorder.stop();
+        await stopped;
+        track.stop();
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    render() {
+        this.sceneManager.renderer.render(this.sceneManager.scene, this.sceneManager.camera);
+    }
+
+    // Resize the renderer to the capture size (and optionally drop the
+    // background) around `callback`, then put everything back.
+    async withCaptureSize(options, callback) {
+        if (this.busy) {
+            throw new Error('A capture is already in progress');
+        }
+        const { renderer, scene, camera } = this.sceneManager;
+        if (renderer.xr.isPresenting) {
+            throw new Error('Captures are not available during an AR session');
+        }
+
+        const canvasSize = renderer.getSize(new THREE.Vector2());
+        const maxSize = this.getMaxSize();
+        const scale = Math.min(1, maxSize / Math.max(options.width || 0, options.height || 0, 1));
+        const size = {
+            width: Math.max(1, Math.round((options.width || canvasSize.x) * scale)),
+            height: Math.max(1, Math.round((options.height || canvasSize.y) * scale))
+        };
+
+        const pixelRatio = renderer.getPixelRatio();
+        const aspect = camera.aspect;
+        const background = scene.background;
+        const clearColor = renderer.getClearColor(new THREE.Color());
+        const clearAlpha = renderer.getClearAlpha();
+
+        this.busy = true;
+        this.transparent = Boolean(options.transparent);
+        try {
+            renderer.setPixelRatio(1);
+            // Leave the canvas' CSS size alone so the page layout doesn't jump.
+            renderer.setSize(size.width, size.height, false);
+            camera.aspect = size.width / size.height;
+            camera.updateProjectionMatrix();
+            if (this.transparent) {
+                scene.background = null;
+                renderer.setClearColor(0x000000, 0);
+            }
+            return await callback(renderer.domElement, size);
+        } finally {
+            scene.background = background;
+            renderer.setClearColor(clearColor, clearAlpha);
+            renderer.setPixelRatio(pixelRatio);
+            renderer.setSize(canvasSize.x, canvasSize.y, false);
+            camera.aspect = aspect;
+            camera.updateProjectionMatrix();
+            this.busy = false;
+        }
+    }
+}
+
+// Save a Blob through a temporary download link.
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// toBlob copies the drawing buffer straight away, so this must be called in
+// the same task as the render.
+function toBlob(canvas, type) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the capture'))), type);
+    });
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+
+// Moves product parts outward from the assembly center and back again.
+// Each part explodes along its manifest "explode.axis" if one is given,
+// otherwise along the direction from the assembly center to the part center.
+export class ExplodedView extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+        this.distance = options.distance ?? null;
+        this.duration = options.duration ?? 0.8;
+        this.parts = new Map();
+        this.factor = 0;
+        this.animation = null;
+    }
+
+    // Record the assembled pose of every part. Call this whenever the set of
+    // loaded parts changes, while the parts are in their assembled positions.
+    setParts(models, manifestParts = []) {
+        this.stop();
+        this.parts.clear();
+        this.factor = 0;
+
+        const assemblyBox = new THREE.Box3();
+        models.forEach(model => assemblyBox.expandByObject(model));
+        if (assemblyBox.isEmpty()) return;
+
+        const center = assemblyBox.getCenter(new THREE.Vector3());
+        const size = assemblyBox.getSize(new THREE.Vector3());
+        const defaultDistance = this.distance ?? Math.max(size.x, size.y, size.z) * 0.5;
+
+        models.forEach((model, name) => {
+            const config = manifestParts.find(part => part.name === name)?.explode || {};
+            const direction = new THREE.Vector3();
+            if (Array.isArray(config.axis)) {
+                direction.fromArray(config.axis);
+            } else {
+                new THREE.Box3().setFromObject(model).getCenter(direction).sub(center);
+            }
+
+            // DragControls moves the mesh under the pointer rather than the part
+            // root, so the assembled pose covers every node of the part.
+            const poses = [];
+            model.traverse(node => {
+                poses.push({
+                    node,
+                    position: node.position.clone(),
+                    quaternion: node.quaternion.clone(),
+                    scale: node.scale.clone()
+                });
+            });
+
+            // A part sitting at the assembly center (e.g. the frame) stays put.
+            const hasDirection = direction.lengthSq() > 1e-8;
+            this.parts.set(name, {
+                object: model,
+                direction: hasDirection ? direction.normalize() : direction,
+                distance: hasDirection ? (config.distance ?? defaultDistance) : 0,
+                poses
+            });
+        });
+    }
+
+    // Offsets are applied relative to the current positions, so parts that were
+    // moved by hand keep their manual offset while exploding.
+    setFactor(factor) {
+        factor = THREE.MathUtils.clamp(factor, 0, 1);
+        const delta = factor - this.factor;
+        this.factor = factor;
+        this.parts.forEach(part => {
+            part.object.position.addScaledVector(part.direction, part.distance * delta);
+        });
+        this.dispatchEvent({ type: 'change', factor });
+    }
+
+    explode() {
+        this.animateTo(1);
+    }
+
+    assemble() {
+        this.animateTo(0);
+    }
+
+    toggle() {
+        this.animateTo(this.factor < 0.5 ? 1 : 0);
+    }
+
+    animateTo(factor) {
+        this.animation = {
+            from: this.factor,
+            to: THREE.MathUtils.clamp(factor, 0, 1),
+            elapsed: 0
+        };
+    }
+
+    stop() {
+        this.animation = null;
+    }
+
+    // The assembled pose of a part root, as { position, quaternion, scale }.
+    getAssembledPose(name) {
+        const part = this.parts.get(name);
+        return part ? part.poses[0] : null;
+    }
+
+    // Where a part that wasn't moved by hand sits at the current explode
+    // factor, or null for an unknown part.
+    getExplodedPosition(name, target) {
+        const part = this.parts.get(name);
+        if (!part) return null;
+        return target.copy(part.poses[0].position).addScaledVector(part.direction, part.distance * this.factor);
+    }
+
+    // Undo every manual move and return all parts to their assembled pose.
+    reset() {
+        this.stop();
+        this.parts.forEach(part => {
+            part.poses.forEach(pose => {
+                pose.node.position.copy(pose.position);
+                pose.node.quaternion.copy(pose.quaternion);
+                pose.node.scale.copy(pose.scale);
+            });
+        });
+        this.factor = 0;
+        this.dispatchEvent({ type: 'change', factor: 0 });
+    }
+
+    update(delta) {
+        if (!this.animation) return;
+
+        const animation = this.animation;
+        animation.elapsed += delta;
+        const t = this.duration > 0 ? Math.min(animation.elapsed / this.duration, 1) : 1;
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+        this.setFactor(THREE.MathUtils.lerp(animation.from, animation.to, eased));
+
+        if (t === 1) {
+            this.animation = null;
+        }
+    }
+}
@@ -0,0 +1,122 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { USDZExporter } from 'three/addons/exporters/USDZExporter.js';
+import { decompress } from 'three/addons/utils/TextureUtils.js';
+
+const TEXTURE_KEYS = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap', 'alphaMap'];
+
+const _matrix = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+
+// Writes the parts as they are arranged now, with their current materials, to
+// GLB or USDZ. Only the parts are exported, so helpers in the scene (the
+// stage, measurements, section planes, gizmos) never end up in a file, and
+// hidden parts are left out.
+//
+// Parts are exported in product space (see MeasureTool for `getFrame`), so an
+// arrangement made in AR comes out the same as on the desktop.
+export class ExportManager {
+    constructor(models, selection, options = {}) {
+        this.models = models;
+        this.selection = selection;
+        this.getFrame = options.getFrame || (target => target.identity());
+    }
+
+    async exportGLB(options = {}) {
+        const root = this.createExportScene(options.name);
+        const buffer = await new GLTFExporter().parseAsync(root, {
+            binary: true,
+            onlyVisible: true,
+            maxTextureSize: options.maxTextureSize ?? 4096
+        });
+        return new Blob([buffer], { type: 'model/gltf-binary' });
+    }
+
+    // USDZ for iOS Quick Look, which puts the origin on the floor, so the
+    // bottom centre of the parts is moved there.
+    async exportUSDZ(options = {}) {
+        const root = this.createExportScene(options.name);
+        const box = new THREE.Box3().setFromObject(root);
+        if (!box.isEmpty()) {
+            const center = box.getCenter(new THREE.Vector3());
+            root.position.set(-center.x, -box.min.y, -center.z);
+            root.updateMatrixWorld(true);
+        }
+
+        // Quick Look can't read GPU-compressed textures, so those are copied
+        // into readable ones on cloned materials. decompress() draws them with
+        // a renderer of its own, as it resizes and clears the one it is given.
+        const readable = [];
+        root.traverse(node => {
+            if (!node.isMesh) return;
+            node.material = Array.isArray(node.material)
+                ? node.material.map(material => this.makeReadable(material, readable))
+                : this.makeReadable(node.material, readable);
+        });
+
+        try {
+            const data = await new USDZExporter().parse(root, { quickLookCompatible: true });
+            return new Blob([data], { type: 'model/vnd.usdz+zip' });
+        } finally {
+            readable.forEach(resource => resource.dispose());
+        }
+    }
+
+    // Clones of the visible parts in product space. Clones share geometry and
+    // materials with the parts, except for the selection tint, which is taken
+    // off while cloning so it isn't exported.
+    createExportScene(name = 'product') {
+        const root = new THREE.Group();
+        root.name = name;
+        _inverse.copy(this.getFrame(_matrix)).invert();
+
+        this.models.forEach((model, partName) => {
+            const highlighted = this.selection.isHighlighted(model);
+            if (highlighted) this.selection.setHighlight(model, false);
+            const clone = model.clone();
+            if (highlighted) this.selection.setHighlight(model, true);
+
+            clone.name = partName;
+            model.updateMatrix();
+            _matrix.multiplyMatrices(_inverse, model.matrix).decompose(clone.position, clone.quaternion, clone.scale);
+            root.add(clone);
+        });
+        root.updateMatrixWorld(true);
+        return root;
+    }
+
+    makeReadable(material, readable) {
+        const keys = TEXTURE_KEYS.filter(key => material[key] && material[key].isCompressedTexture);
+        if (keys.length === 0) return material;
+
+        const copy = material.clone();
+        keys.forEach(key => {
+            copy[key] = decompress(material[key], 1024, null);
+            readable.push(copy[key]);
+        });
+        readable.push(copy);
+        return copy;
+    }
+}
+
+// iOS Safari opens USDZ files in Quick Look from a link with rel="ar".
+export function supportsQuickLook() {
+    try {
+        return document.createElement('a').relList.supports('ar');
+    } catch (error) {
+        // Browsers that know no link types at all throw here.
+        return false;
+    }
+}
+
+// Show a USDZ Blob in Quick Look. The link needs an image child to count as
+// an AR link.
+export function openQuickLook(blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.rel = 'ar';
+    link.href = url;
+    link.appendChild(document.createElement('img'));
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+
+// Helpers for loading user-provided models. A .gltf usually comes with .bin
+// and texture files that it references by relative path; those are matched
+// up with the uploaded files through a LoadingManager URL modifier.
+
+const MODEL_PATTERN = /\.(glb|gltf)$/i;
+
+// Prefix given to GLTFLoader as the resource path, so requests for external
+// resources can be told apart from everything else in the URL modifier. Each
+// resolver adds its own id, so uploads loading side by side don't mix.
+const RESOURCE_PREFIX = 'upload:/';
+
+const activeResolvers = new Map();
+let nextResolverId = 1;
+
+// Entries are { file, path } where path is relative to what was picked or dropped.
+export function getInputFiles(fileList) {
+    return Array.from(fileList, file => ({ file, path: file.webkitRelativePath || file.name }));
+}
+
+// Walks dropped folders, which only the entry API exposes.
+export async function getDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return getInputFiles(dataTransfer.files);
+    }
+
+    const files = [];
+    await Promise.all(entries.map(entry => readEntry(entry, '', files)));
+    return files;
+}
+
+async function readEntry(entry, directory, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ file, path: directory + entry.name });
+        return;
+    }
+
+    const reader = entry.createReader();
+    // readEntries returns the directory in batches until it comes back empty.
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        await Promise.all(batch.map(child => readEntry(child, `${directory}${entry.name}/`, files)));
+    } while (batch.length > 0);
+}
+
+export function groupUploads(entries) {
+    const models = [];
+    const resources = new Map();
+
+    entries.forEach(({ file, path }) => {
+        const normalized = normalizePath(path);
+        resources.set(normalized, file);
+        if (MODEL_PATTERN.test(file.name)) {
+            models.push({ file, path: normalized, name: file.name.replace(MODEL_PATTERN, '') });
+        }
+    });
+
+    return { models, resources };
+}
+
+// Returns a LoadingManager that serves the resources a model references from
+// the uploaded files, plus the resource path to hand to GLTFLoader.
+export function createResourceResolver(resources, modelPath) {
+    const directory = modelPath.includes('/') ? modelPath.slice(0, modelPath.lastIndexOf('/') + 1) : '';
+    const prefix = `${RESOURCE_PREFIX}${nextResolverId++}/`;
+    const objectUrls = new Map();
+    const missing = new Set();
+
+    const byName = new Map();
+    resources.forEach((file, path) => {
+        const name = path.split('/').pop();
+        if (!byName.has(name)) byName.set(name, file);
+    });
+
+    const resolve = (url) => {
+        if (!url.startsWith(prefix)) return url;
+
+        const path = normalizePath(url.slice(prefix.length));
+        // Fall back to the file name, for resources picked without their folders.
+        const file = resources.get(path) || byName.get(path.split('/').pop());
+        if (!file) {
+            missing.add(path);
+            return url;
+        }
+        if (!objectUrls.has(file)) {
+            objectUrls.set(file, URL.createObjectURL(file));
+        }
+        return objectUrls.get(file);
+    };
+    activeResolvers.set(prefix, resolve);
+
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier(resolve);
+
+    return {
+        manager,
+        resourcePath: prefix + directory,
+        missing,
+        dispose() {
+            activeResolvers.delete(prefix);
+            objectUrls.forEach(url => URL.revokeObjectURL(url));
+            objectUrls.clear();
+        }
+    };
+}
+
+// URL modifier for loaders that are shared between loads and so can't take a
+// resolver's manager, like the KTX2 texture loader.
+export function resolveUploadUrl(url) {
+    if (!url.startsWith(RESOURCE_PREFIX)) return url;
+    for (const [prefix, resolve] of activeResolvers) {
+        if (url.startsWith(prefix)) return resolve(url);
+    }
+    return url;
+}
+
+// Resolve "." and ".." segments and URI escapes so paths compare equal.
+function normalizePath(path) {
+    const segments = [];
+    path.split('/').forEach(segment => {
+        let decoded = segment;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch (error) {
+            // Keep malformed escapes as they are.
+        }
+        if (decoded === '' || decoded === '.') return;
+        if (decoded === '..') {
+            segments.pop();
+        } else {
+            segments.push(decoded);
+        }
+    });
+    return segments.join('/');
+}
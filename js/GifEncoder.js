@@ -0,0 +1,208 @@
+// Minimal animated GIF89a encoder for turntable captures.
+//
+// The 256 colour palette is built from the first frame (the product looks
+// much the same from every angle) and every frame is mapped onto it with a
+// 15-bit colour cache, which keeps encoding fast enough for the main thread.
+export class GifEncoder {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        // Frame delay in hundredths of a second; browsers clamp values below 2.
+        this.delay = Math.max(2, Math.round(options.delay ?? 4));
+        this.transparent = options.transparent ?? false;
+        this.chunks = [];
+        this.bytes = [];
+        this.palette = null;
+        this.lookup = null;
+    }
+
+    // rgba: Uint8ClampedArray of width * height * 4, top row first.
+    addFrame(rgba) {
+        if (!this.palette) {
+            this.buildPalette(rgba);
+            this.writeHeader();
+        }
+
+        const pixelCount = this.width * this.height;
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            const offset = i * 4;
+            if (this.transparent && rgba[offset + 3] < 128) {
+                indices[i] = TRANSPARENT_INDEX;
+            } else {
+                indices[i] = this.mapColor(rgba[offset], rgba[offset + 1], rgba[offset + 2]);
+            }
+        }
+
+        // Graphic control extension: disposal, delay and transparency.
+        const disposal = this.transparent ? 2 : 0;
+        this.bytes.push(0x21, 0xf9, 0x04, (disposal << 2) | (this.transparent ? 1 : 0));
+        this.writeShort(this.delay);
+        this.bytes.push(this.transparent ? TRANSPARENT_INDEX : 0, 0x00);
+
+        // Image descriptor, using the global colour table.
+        this.bytes.push(0x2c);
+        this.writeShort(0);
+        this.writeShort(0);
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.bytes.push(0x00);
+
+        this.bytes.push(MIN_CODE_SIZE);
+        const data = lzwEncode(indices);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            this.bytes.push(block.length, ...block);
+        }
+        this.bytes.push(0x00);
+        this.flush();
+    }
+
+    finish() {
+        this.bytes.push(0x3b);
+        this.flush();
+
+        const result = new Uint8Array(this.chunks.reduce((length, chunk) => length + chunk.length, 0));
+        let offset = 0;
+        this.chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        this.chunks = [];
+        return result;
+    }
+
+    // Keep finished frames as bytes rather than a growing array of numbers.
+    flush() {
+        this.chunks.push(Uint8Array.from(this.bytes));
+        this.bytes = [];
+    }
+
+    writeHeader() {
+        const bytes = this.bytes;
+        'GIF89a'.split('').forEach(char => bytes.push(char.charCodeAt(0)));
+
+        // Logical screen descriptor with a 256 entry global colour table.
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        bytes.push(0xf7, 0x00, 0x00);
+        for (let i = 0; i < 256; i++) {
+            const color = this.palette[i] || [0, 0, 0];
+            bytes.push(color[0], color[1], color[2]);
+        }
+
+        // Netscape application extension: loop forever.
+        bytes.push(0x21, 0xff, 0x0b);
+        'NETSCAPE2.0'.split('').forEach(char => bytes.push(char.charCodeAt(0)));
+        bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+    }
+
+    writeShort(value) {
+        this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+    }
+
+    // Popularity palette over 5 bits per channel.
+    buildPalette(rgba) {
+        const counts = new Uint32Array(32768);
+        for (let i = 0; i < rgba.length; i += 4) {
+            if (this.transparent && rgba[i + 3] < 128) continue;
+            counts[colorKey(rgba[i], rgba[i + 1], rgba[i + 2])]++;
+        }
+
+        const maxColors = this.transparent ? 255 : 256;
+        const keys = [];
+        counts.forEach((count, key) => {
+            if (count > 0) keys.push(key);
+        });
+        keys.sort((a, b) => counts[b] - counts[a]);
+
+        this.palette = keys.slice(0, maxColors).map(key => [
+            ((key >> 10) & 31) * 255 / 31 | 0,
+            ((key >> 5) & 31) * 255 / 31 | 0,
+            (key & 31) * 255 / 31 | 0
+        ]);
+        if (this.palette.length === 0) {
+            this.palette.push([0, 0, 0]);
+        }
+        this.lookup = new Int16Array(32768).fill(-1);
+    }
+
+    mapColor(r, g, b) {
+        const key = colorKey(r, g, b);
+        let index = this.lookup[key];
+        if (index !== -1) return index;
+
+        let best = Infinity;
+        this.palette.forEach((color, i) => {
+            const dr = color[0] - r;
+            const dg = color[1] - g;
+            const db = color[2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < best) {
+                best = distance;
+                index = i;
+            }
+        });
+        this.lookup[key] = index;
+        return index;
+    }
+}
+
+const MIN_CODE_SIZE = 8;
+const TRANSPARENT_INDEX = 255;
+
+function colorKey(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+// Variable code size LZW as the GIF spec wants it, packed LSB first.
+function lzwEncode(indices) {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    const output = [];
+    let nextCode = endCode + 1;
+    let codeSize = MIN_CODE_SIZE + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bits = 0;
+
+    const emit = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            output.push(buffer & 0xff);
+            buffer >>= 8;
+            bits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            nextCode = endCode + 1;
+            codeSize = MIN_CODE_SIZE + 1;
+            table = new Map();
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) {
+        output.push(buffer & 0xff);
+    }
+    return output;
+}
@@ -0,0 +1,325 @@
+import * as THREE from 'three';
+import { Reflector } from 'three/addons/objects/Reflector.js';
+import { HorizontalBlurShader } from 'three/addons/shaders/HorizontalBlurShader.js';
+import { VerticalBlurShader } from 'three/addons/shaders/VerticalBlurShader.js';
+
+// Only part meshes are on this layer, so helpers such as measurements, section
+// planes and the AR reticle don't cast contact shadows.
+const SHADOW_LAYER = 1;
+const SHADOW_RESOLUTION = 512;
+
+const DEFAULTS = {
+    ground: false,
+    shadows: true,
+    reflection: false,
+    color: '#dddddd',
+    shadowOpacity: 0.6,
+    shadowBlur: 3,
+    reflectivity: 0.3,
+    // 'shadow' keeps just the contact shadow in AR, 'off' hides everything.
+    ar: 'shadow'
+};
+
+const _box = new THREE.Box3();
+const _matrix = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+const _offset = new THREE.Matrix4();
+
+// Staging under the product: a ground plane that fades out at the edges,
+// contact shadows and an optional mirror reflection. It is fitted to the
+// bounding box of the parts in product space and placed with `getFrame`, like
+// MeasureTool, so it follows the assembly when it is placed in AR.
+//
+// Contact shadows are the technique from the three.js webgl_shadow_contact
+// example: the parts are rendered from below into a small render target as
+// depth-based darkness, which is blurred and shown on a plane at their feet.
+//
+//   "stage": { "ground": true, "shadows": true, "reflection": false, "color": "#dddddd" }
+export class GroundStage extends THREE.EventDispatcher {
+    constructor(sceneManager, models, options = {}) {
+        super();
+        this.scene = sceneManager.scene;
+        this.renderer = sceneManager.renderer;
+        this.sceneManager = sceneManager;
+        this.models = models;
+        this.getFrame = options.getFrame || (target => target.identity());
+        this.options = { ...DEFAULTS };
+        this.isARMode = false;
+
+        // Bottom centre of the parts and the size of the planes, in product space.
+        this.center = new THREE.Vector3();
+        this.size = 1;
+        this.height = 1;
+        this.hasParts = false;
+
+        this.group = new THREE.Group();
+        this.group.name = 'stage';
+        this.group.matrixAutoUpdate = false;
+        this.scene.add(this.group);
+
+        this.fadeTexture = createFadeTexture();
+        this.ground = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2),
+            new THREE.MeshStandardMaterial({
+                color: this.options.color,
+                roughness: 1,
+                metalness: 0,
+                transparent: true,
+                alphaMap: this.fadeTexture,
+                depthWrite: false
+            })
+        );
+        this.ground.raycast = () => {};
+        this.group.add(this.ground);
+
+        this.reflector = null;
+        this.setupShadows();
+        this.updateVisibility();
+    }
+
+    setupShadows() {
+        this.shadowTarget = new THREE.WebGLRenderTarget(SHADOW_RESOLUTION, SHADOW_RESOLUTION);
+        this.shadowTarget.texture.generateMipmaps = false;
+        this.blurTarget = new THREE.WebGLRenderTarget(SHADOW_RESOLUTION, SHADOW_RESOLUTION);
+        this.blurTarget.texture.generateMipmaps = false;
+
+        // The render target is drawn as seen from below, so the plane is
+        // turned and mirrored to show it the right way round from above.
+        this.shadowPlane = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({
+                map: this.shadowTarget.texture,
+                opacity: this.options.shadowOpacity,
+                transparent: true,
+                depthWrite: false
+            })
+        );
+        this.shadowPlane.rotation.x = Math.PI / 2;
+        this.shadowPlane.renderOrder = 1;
+        this.shadowPlane.raycast = () => {};
+
+        this.blurPlane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1));
+        this.blurPlane.rotation.x = Math.PI / 2;
+        this.blurPlane.layers.set(SHADOW_LAYER);
+        this.blurPlane.visible = false;
+        this.horizontalBlur = new THREE.ShaderMaterial(HorizontalBlurShader);
+        this.horizontalBlur.depthTest = false;
+        this.verticalBlur = new THREE.ShaderMaterial(VerticalBlurShader);
+        this.verticalBlur.depthTest = false;
+
+        this.shadowCamera = new THREE.OrthographicCamera(-0.5, 0.5, 0.5, -0.5, 0, 1);
+        this.shadowCamera.rotation.x = Math.PI / 2;
+        this.shadowCamera.layers.set(SHADOW_LAYER);
+
+        // Darker the closer a surface is to the ground.
+        this.depthMaterial = new THREE.MeshDepthMaterial();
+        this.depthMaterial.onBeforeCompile = (shader) => {
+            shader.fragmentShader = shader.fragmentShader.replace(
+                'gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );',
+                'gl_FragColor = vec4( vec3( 0.0 ), 1.0 - fragCoordZ );'
+            );
+        };
+        this.depthMaterial.depthTest = false;
+        this.depthMaterial.depthWrite = false;
+
+        this.shadowGroup = new THREE.Group();
+        this.shadowGroup.add(this.shadowPlane, this.blurPlane, this.shadowCamera);
+        this.group.add(this.shadowGroup);
+    }
+
+    // Size of the contact shadow render targets, set by QualityManager.
+    setShadowResolution(size) {
+        this.shadowTarget.setSize(size, size);
+        this.blurTarget.setSize(size, size);
+    }
+
+    // Replace all options with the defaults plus the given ones, e.g. the
+    // "stage" entry of a product manifest.
+    reset(options = {}) {
+        this.setOptions({ ...DEFAULTS, ...options });
+    }
+
+    setOptions(options) {
+        Object.assign(this.options, options);
+        this.ground.material.color.set(this.options.color);
+        this.shadowPlane.material.opacity = this.options.shadowOpacity;
+        if (this.options.reflection && !this.reflector) {
+            this.createReflector();
+        }
+        this.updateVisibility();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    createReflector() {
+        const { width, height } = this.sceneManager.getSize();
+        const pixelRatio = Math.min(window.devicePixelRatio, 2) / 2;
+        this.reflector = new Reflector(new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2), {
+            textureWidth: Math.round(width * pixelRatio),
+            textureHeight: Math.round(height * pixelRatio),
+            clipBias: 0.003
+        });
+        this.reflector.raycast = () => {};
+        this.reflector.renderOrder = -1;
+        this.group.add(this.reflector);
+        this.layout();
+    }
+
+    // In AR the real floor is the ground, so only the shadow is kept.
+    setARMode(active) {
+        this.isARMode = active;
+        this.updateVisibility();
+    }
+
+    updateVisibility() {
+        const { ground, shadows, reflection, ar } = this.options;
+        const inAR = this.isARMode;
+        this.group.visible = this.hasParts && !(inAR && ar === 'off');
+        this.ground.visible = ground && !inAR;
+        this.shadowPlane.visible = shadows;
+        if (this.reflector) {
+            this.reflector.visible = reflection && !inAR;
+        }
+        // A reflection shows through a partly transparent ground.
+        this.ground.material.opacity = this.reflector && this.reflector.visible ? 1 - this.options.reflectivity : 1;
+    }
+
+    // Fit the stage to the parts. Called whenever the camera is fitted.
+    fit() {
+        _box.makeEmpty();
+        _inverse.copy(this.getFrame(_matrix)).invert();
+        this.models.forEach(model => {
+            model.updateWorldMatrix(true, true);
+            model.traverse(node => {
+                if (!node.isMesh) return;
+                node.layers.enable(SHADOW_LAYER);
+                if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+                _box.union(node.geometry.boundingBox.clone().applyMatrix4(_matrix.multiplyMatrices(_inverse, node.matrixWorld)));
+            });
+        });
+
+        this.hasParts = !_box.isEmpty();
+        if (this.hasParts) {
+            const size = _box.getSize(new THREE.Vector3());
+            _box.getCenter(this.center);
+            this.center.y = _box.min.y;
+            // Leave room for the shadow to spread and the ground to fade.
+            this.size = Math.max(size.x, size.z, 1e-3) * 2.5;
+            this.height = Math.max(size.y, 1e-3);
+            this.layout();
+        }
+        this.updateVisibility();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    layout() {
+        this.ground.scale.set(this.size, 1, this.size);
+        this.shadowPlane.scale.set(this.size, -this.size, 1);
+        this.blurPlane.scale.set(this.size, this.size, 1);
+        if (this.reflector) {
+            this.reflector.scale.set(this.size, 1, this.size);
+            this.reflector.position.y = -this.height * 0.001;
+        }
+
+        // Just above the ground, so they don't fight over depth.
+        this.shadowGroup.position.y = this.height * 0.001;
+        const half = this.size / 2;
+        Object.assign(this.shadowCamera, { left: -half, right: half, top: half, bottom: -half, far: this.height });
+        this.shadowCamera.updateProjectionMatrix();
+    }
+
+    // Called every frame to follow the AR placement and redraw the shadow.
+    update() {
+        if (!this.group.visible) return;
+
+        this.getFrame(this.group.matrix).multiply(_offset.makeTranslation(this.center.x, this.center.y, this.center.z));
+        this.group.matrixWorldNeedsUpdate = true;
+        this.group.updateMatrixWorld(true);
+
+        if (this.shadowPlane.visible) {
+            this.renderShadow();
+        }
+    }
+
+    renderShadow() {
+        const renderer = this.renderer;
+        const scene = this.scene;
+        const background = scene.background;
+        const target = renderer.getRenderTarget();
+        const clearAlpha = renderer.getClearAlpha();
+        // The shadow camera replaces the headset camera for these passes.
+        const xrEnabled = renderer.xr.enabled;
+
+        scene.background = null;
+        scene.overrideMaterial = this.depthMaterial;
+        renderer.xr.enabled = false;
+        renderer.setClearAlpha(0);
+        renderer.setRenderTarget(this.shadowTarget);
+        renderer.render(scene, this.shadowCamera);
+        scene.overrideMaterial = null;
+
+        const blur = this.options.shadowBlur;
+        this.blurShadow(blur);
+        // A second, finer pass removes the banding of the first.
+        this.blurShadow(blur * 0.4);
+
+        renderer.setRenderTarget(target);
+        renderer.setClearAlpha(clearAlpha);
+        renderer.xr.enabled = xrEnabled;
+        scene.background = background;
+    }
+
+    blurShadow(amount) {
+        const renderer = this.renderer;
+        this.blurPlane.visible = true;
+
+        this.blurPlane.material = this.horizontalBlur;
+        this.horizontalBlur.uniforms.tDiffuse.value = this.shadowTarget.texture;
+        this.horizontalBlur.uniforms.h.value = amount / 256;
+        renderer.setRenderTarget(this.blurTarget);
+        renderer.render(this.blurPlane, this.shadowCamera);
+
+        this.blurPlane.material = this.verticalBlur;
+        this.verticalBlur.uniforms.tDiffuse.value = this.blurTarget.texture;
+        this.verticalBlur.uniforms.v.value = amount / 256;
+        renderer.setRenderTarget(this.shadowTarget);
+        renderer.render(this.blurPlane, this.shadowCamera);
+
+        this.blurPlane.visible = false;
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.ground.geometry.dispose();
+        this.ground.material.dispose();
+        if (this.fadeTexture) this.fadeTexture.dispose();
+        this.shadowPlane.geometry.dispose();
+        this.shadowPlane.material.dispose();
+        this.blurPlane.geometry.dispose();
+        this.horizontalBlur.dispose();
+        this.verticalBlur.dispose();
+        this.depthMaterial.dispose();
+        this.shadowTarget.dispose();
+        this.blurTarget.dispose();
+        if (this.reflector) {
+            this.reflector.geometry.dispose();
+            this.reflector.dispose();
+        }
+    }
+}
+
+// Radial fade from opaque in the middle to transparent at the edges, so the
+// ground has no visible border.
+function createFadeTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+    const gradient = context.createRadialGradient(64, 64, 0, 64, 64, 64);
+    gradient.addColorStop(0, '#ffffff');
+    gradient.addColorStop(0.5, '#ffffff');
+    gradient.addColorStop(1, '#000000');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    return new THREE.CanvasTexture(canvas);
+}
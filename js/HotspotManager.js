@@ -0,0 +1,288 @@
+import * as THREE from 'three';
+
+// Tags and attributes allowed in a hotspot body. Manifests can come from any
+// URL given in ?product=, so the HTML is filtered rather than trusted.
+const ALLOWED_TAGS = new Set(['P', 'BR', 'B', 'STRONG', 'I', 'EM', 'U', 'UL', 'OL', 'LI', 'A', 'H4', 'H5', 'SMALL', 'CODE']);
+const OCCLUSION_INTERVAL = 0.1;
+
+const _point = new THREE.Vector3();
+const _cameraPosition = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _box = new THREE.Box3();
+const _inverse = new THREE.Matrix4();
+
+// Numbered markers anchored to a point on a part, with a card that opens on
+// click. Markers are DOM elements over the canvas, which also makes them show
+// up in AR through the dom-overlay feature (the container is the overlay root).
+//
+// Hotspots come from the "hotspots" list of the product manifest:
+//
+//   "hotspots": [
+//       { "part": "blade", "position": [0, 0.02, 0], "title": "Replaceable blade",
+//         "body": "<p>Slide the blade out to <b>clean</b> or swap it.</p>" }
+//   ]
+//
+// "position" is in the part's own space, so the marker follows the part when
+// it is dragged, exploded or placed in AR. Without it the marker sits on the
+// middle of the top front edge of the part's bounding box, which faces the
+// default camera.
+export class HotspotManager extends THREE.EventDispatcher {
+    constructor(container, sceneManager, models) {
+        super();
+        this.container = container;
+        this.renderer = sceneManager.renderer;
+        this.camera = sceneManager.camera;
+        this.models = models;
+        this.hotspots = [];
+        this.openIndex = -1;
+        this.visible = true;
+        this.raycaster = new THREE.Raycaster();
+        this.sinceOcclusion = Infinity;
+
+        this.layer = document.createElement('div');
+        this.layer.style.position = 'absolute';
+        this.layer.style.inset = '0';
+        this.layer.style.overflow = 'hidden';
+        this.layer.style.pointerEvents = 'none';
+        this.layer.style.zIndex = '500';
+        this.layer.style.fontFamily = 'sans-serif';
+        // In AR, taps on a marker or card shouldn't also place or measure.
+        this.layer.addEventListener('beforexrselect', (event) => event.preventDefault());
+        this.container.appendChild(this.layer);
+
+        this.card = document.createElement('div');
+        this.card.setAttribute('role', 'dialog');
+        this.card.style.position = 'absolute';
+        this.card.style.maxWidth = '260px';
+        this.card.style.padding = '12px 16px';
+        this.card.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+        this.card.style.borderLeft = '4px solid #d00024';
+        this.card.style.fontSize = '13px';
+        this.card.style.color = '#333';
+        this.card.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+        this.card.style.pointerEvents = 'auto';
+        this.card.style.display = 'none';
+        this.layer.appendChild(this.card);
+    }
+
+    // Replace the hotspots with the definitions from a manifest.
+    setHotspots(definitions = []) {
+        this.close();
+        this.hotspots.forEach(hotspot => hotspot.marker.remove());
+        this.hotspots = definitions.map((definition, index) => ({
+            ...definition,
+            index,
+            // Filled in once the part is known, see resolveAnchor().
+            anchor: null,
+            occluded: false,
+            marker: this.createMarker(definition, index)
+        }));
+        this.hotspots.forEach(hotspot => this.layer.insertBefore(hotspot.marker, this.card));
+    }
+
+    createMarker(definition, index) {
+        const marker = document.createElement('button');
+        marker.textContent = String(index + 1);
+        marker.title = definition.title || `Hotspot ${index + 1}`;
+        marker.setAttribute('aria-label', marker.title);
+        marker.style.position = 'absolute';
+        marker.style.left = '0';
+        marker.style.top = '0';
+        marker.style.width = '28px';
+        marker.style.height = '28px';
+        marker.style.margin = '-14px 0 0 -14px';
+        marker.style.borderRadius = '50%';
+        marker.style.border = '2px solid #fff';
+        marker.style.backgroundColor = '#d00024';
+        marker.style.color = '#fff';
+        marker.style.fontWeight = 'bold';
+        marker.style.cursor = 'pointer';
+        marker.style.pointerEvents = 'auto';
+        marker.style.transition = 'opacity 0.2s';
+        marker.style.display = 'none';
+        marker.onclick = () => this.toggle(index);
+        return marker;
+    }
+
+    toggle(index) {
+        if (this.openIndex === index) {
+            this.close();
+        } else {
+            this.open(index);
+        }
+    }
+
+    open(index) {
+        const hotspot = this.hotspots[index];
+        if (!hotspot) return;
+
+        const title = document.createElement('strong');
+        title.textContent = hotspot.title || '';
+        title.style.display = 'block';
+        title.style.marginBottom = '4px';
+        const body = document.createElement('div');
+        body.appendChild(sanitizeHtml(hotspot.body || ''));
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '×';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.style.position = 'absolute';
+        closeButton.style.top = '4px';
+        closeButton.style.right = '4px';
+        closeButton.style.border = 'none';
+        closeButton.style.background = 'none';
+        closeButton.style.cursor = 'pointer';
+        closeButton.onclick = () => this.close();
+
+        this.card.replaceChildren(closeButton, title, body);
+        this.card.setAttribute('aria-label', hotspot.title || `Hotspot ${index + 1}`);
+        this.card.style.display = 'block';
+        this.openIndex = index;
+        this.dispatchEvent({ type: 'open', index, hotspot });
+    }
+
+    close() {
+        if (this.openIndex === -1) return;
+        const index = this.openIndex;
+        this.openIndex = -1;
+        this.card.style.display = 'none';
+        this.dispatchEvent({ type: 'close', index });
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        if (!visible) this.close();
+        this.layer.style.display = visible ? 'block' : 'none';
+    }
+
+    // Forget anchors worked out from part bounds, e.g. after new parts loaded.
+    refresh() {
+        this.hotspots.forEach(hotspot => {
+            hotspot.anchor = null;
+        });
+    }
+
+    resolveAnchor(hotspot, model) {
+        if (hotspot.position) return hotspot.position.clone();
+
+        // Middle of the top front edge of the part's bounds, in the part's own space.
+        model.updateWorldMatrix(true, true);
+        _inverse.copy(model.matrixWorld).invert();
+        _box.makeEmpty();
+        model.traverse(node => {
+            if (!node.isMesh) return;
+            if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+            _box.union(node.geometry.boundingBox.clone().applyMatrix4(node.matrixWorld.clone().premultiply(_inverse)));
+        });
+        if (_box.isEmpty()) return new THREE.Vector3();
+        const anchor = _box.getCenter(new THREE.Vector3());
+        anchor.y = _box.max.y;
+        anchor.z = _box.max.z;
+        return anchor;
+    }
+
+    // Called every frame to move the markers with their parts and hide the
+    // ones a part is in front of.
+    update(delta) {
+        if (!this.visible || this.hotspots.length === 0) return;
+
+        // In AR the headset camera is the one that renders.
+        const camera = this.renderer.xr.isPresenting ? this.renderer.xr.getCamera() : this.camera;
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        camera.getWorldPosition(_cameraPosition);
+
+        this.sinceOcclusion += delta;
+        const checkOcclusion = this.sinceOcclusion >= OCCLUSION_INTERVAL;
+        if (checkOcclusion) this.sinceOcclusion = 0;
+
+        this.hotspots.forEach(hotspot => {
+            const model = this.models.get(hotspot.part);
+            if (!model || !model.visible) {
+                hotspot.marker.style.display = 'none';
+                if (this.openIndex === hotspot.index) this.close();
+                return;
+            }
+            if (!hotspot.anchor) hotspot.anchor = this.resolveAnchor(hotspot, model);
+
+            model.localToWorld(_point.copy(hotspot.anchor));
+            if (checkOcclusion) {
+                hotspot.occluded = this.isOccluded(_point);
+            }
+            _point.project(camera);
+            const onScreen = _point.z < 1 && Math.abs(_point.x) <= 1 && Math.abs(_point.y) <= 1;
+
+            const x = (_point.x + 1) / 2 * width;
+            const y = (1 - _point.y) / 2 * height;
+            const marker = hotspot.marker;
+            marker.style.display = onScreen ? 'block' : 'none';
+            marker.style.transform = `translate(${x}px, ${y}px)`;
+            marker.style.opacity = hotspot.occluded ? '0' : '1';
+            marker.style.pointerEvents = hotspot.occluded ? 'none' : 'auto';
+
+            if (this.openIndex === hotspot.index) {
+                if (!onScreen || hotspot.occluded) {
+                    this.close();
+                } else {
+                    this.positionCard(x, y, width);
+                }
+            }
+        });
+    }
+
+    positionCard(x, y, width) {
+        // Open to the side with more room.
+        const left = x < width / 2 ? x + 22 : x - 22 - this.card.offsetWidth;
+        this.card.style.left = `${Math.max(4, left)}px`;
+        this.card.style.top = `${Math.max(4, y - 20)}px`;
+    }
+
+    // A part is in front of the point if the ray from the camera hits
+    // something clearly before reaching it.
+    isOccluded(point) {
+        const distance = _cameraPosition.distanceTo(point);
+        _direction.subVectors(point, _cameraPosition).normalize();
+        this.raycaster.set(_cameraPosition, _direction);
+        this.raycaster.far = distance;
+        const objects = Array.from(this.models.values()).filter(model => model.visible);
+        const hit = this.raycaster.intersectObjects(objects, true)[0];
+        return Boolean(hit) && hit.distance < distance - Math.max(1e-3, distance * 0.01);
+    }
+
+    dispose() {
+        this.layer.remove();
+        this.hotspots = [];
+    }
+}
+
+// Copy the allowed subset of an HTML string into a fragment. Links keep only
+// an http(s) href and open in a new tab; everything else keeps its text.
+function sanitizeHtml(html) {
+    const source = new DOMParser().parseFromString(html, 'text/html').body;
+    const fragment = document.createDocumentFragment();
+
+    const copy = (node, parent) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            parent.appendChild(document.createTextNode(node.textContent));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (node.tagName === 'SCRIPT' || node.tagName === 'STYLE') return;
+
+        let target = parent;
+        if (ALLOWED_TAGS.has(node.tagName)) {
+            target = document.createElement(node.tagName.toLowerCase());
+            if (node.tagName === 'A') {
+                const href = node.getAttribute('href') || '';
+                if (/^https?:\/\//i.test(href)) {
+                    target.href = href;
+                    target.target = '_blank';
+                    target.rel = 'noopener noreferrer';
+                }
+            }
+            parent.appendChild(target);
+        }
+        node.childNodes.forEach(child => copy(child, target));
+    };
+    source.childNodes.forEach(child => copy(child, fragment));
+    return fragment;
+}
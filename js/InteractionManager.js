@@ -2,14 +2,30 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { DragControls } from 'three/addons/controls/DragControls.js';
 
-export class InteractionManager {
+// Pointer and touch input for the viewer: orbiting, dragging parts, picking
+// parts with a click or tap and the AR touch gestures. Results are reported
+// as events so the viewer decides what a pick or a pinch means.
+export class InteractionManager extends THREE.EventDispatcher {
     constructor(scene, camera, domElement) {
+        super();
         this.scene = scene;
         this.camera = camera;
         this.domElement = domElement;
+        this.objects = [];
+        this.raycaster = new THREE.Raycaster();
+
+        // Set by the viewer while an AR session is running, and once the
+        // assembly has been placed so touches can move it.
+        this.isARMode = false;
+        this.touchEnabled = false;
+        // Tools that need the pointer for themselves (measuring, gizmos)
+        // lock part dragging by name while they are active.
+        this.dragLocks = new Set();
 
         this.setupOrbitControls();
         this.setupDragControls();
+        this.setupPointerEvents();
+        this.setupTouchEvents();
     }
 
     setupOrbitControls() {
@@ -18,33 +34,247 @@ export class InteractionManager {
         this.orbitControls.dampingFactor = 0.05;
     }
 
+    // Orbit by the given angles (radians), for keyboard control. Stays within
+    // the limits set on the orbit controls.
+    orbitBy(azimuth, polar) {
+        const controls = this.orbitControls;
+        const offset = this.camera.position.clone().sub(controls.target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta = THREE.MathUtils.clamp(spherical.theta + azimuth, controls.minAzimuthAngle, controls.maxAzimuthAngle);
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi + polar, controls.minPolarAngle, controls.maxPolarAngle);
+        spherical.makeSafe();
+        this.camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+        controls.update();
+    }
+
+    // Move the camera towards (scale < 1) or away from the orbit target.
+    zoomBy(scale) {
+        const controls = this.orbitControls;
+        const offset = this.camera.position.clone().sub(controls.target);
+        offset.setLength(THREE.MathUtils.clamp(offset.length() * scale, controls.minDistance, controls.maxDistance));
+        this.camera.position.copy(controls.target).add(offset);
+        controls.update();
+    }
+
     setupDragControls() {
-        this.dragControls = new DragControls([], this.camera, this.domElement);
-        
-        this.dragControls.addEventListener('dragstart', () => {
+        this.dragControls = new DragControls(this.objects, this.camera, this.domElement);
+        this.setupDragControlsEvents();
+    }
+
+    // DragControls moves the mesh under the pointer. The move is handed on to
+    // the part root so a part always moves as a whole.
+    setupDragControlsEvents() {
+        this.dragControls.addEventListener('dragstart', (event) => {
             this.orbitControls.enabled = false;
+            const mesh = event.object;
+            const object = this.findRoot(mesh);
+            object.updateWorldMatrix(true, false);
+            this.drag = {
+                mesh,
+                object,
+                meshPosition: mesh.position.clone(),
+                parentMatrix: mesh.parent.matrixWorld.clone(),
+                worldPosition: object.getWorldPosition(new THREE.Vector3())
+            };
+            this.dispatchEvent({ type: 'dragstart', object });
         });
 
         this.dragControls.addEventListener('dragend', () => {
             this.orbitControls.enabled = true;
+            const object = this.drag ? this.drag.object : null;
+            this.drag = null;
+            if (object) {
+                this.dispatchEvent({ type: 'dragend', object });
+            }
         });
 
-        this.dragControls.addEventListener('drag', (event) => {
-            // Prevent scaling during drag
-            const object = event.object;
-            if (object.userData.originalScale) {
-                object.scale.copy(object.userData.originalScale);
+        this.dragControls.addEventListener('drag', () => {
+            const drag = this.drag;
+            if (!drag) return;
+
+            const { mesh, object } = drag;
+            if (mesh !== object) {
+                const start = drag.meshPosition.clone().applyMatrix4(drag.parentMatrix);
+                const delta = mesh.position.clone().applyMatrix4(drag.parentMatrix).sub(start);
+                mesh.position.copy(drag.meshPosition);
+                object.position.copy(object.parent.worldToLocal(drag.worldPosition.clone().add(delta)));
+                object.updateMatrixWorld(true);
             }
+            this.dispatchEvent({ type: 'drag', object });
         });
     }
 
+    // The part root is the ancestor that sits directly in the scene.
+    findRoot(object) {
+        while (object.parent && object.parent !== this.scene) {
+            object = object.parent;
+        }
+        return object;
+    }
+
     setDraggableObjects(objects) {
+        this.objects = objects;
         this.dragControls.dispose();
         this.dragControls = new DragControls(objects, this.camera, this.domElement);
+        this.dragControls.enabled = this.dragEnabled;
         this.setupDragControlsEvents();
     }
 
+    get dragEnabled() {
+        return this.dragLocks.size === 0;
+    }
+
+    setDragLock(name, locked) {
+        if (locked) {
+            this.dragLocks.add(name);
+        } else {
+            this.dragLocks.delete(name);
+        }
+        this.dragControls.enabled = this.dragEnabled;
+    }
+
+    // Raycast against the draggable objects at a client (page) position.
+    intersect(clientX, clientY) {
+        const rect = this.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        return this.raycaster.intersectObjects(this.objects, true);
+    }
+
+    // Raycast along an XR controller's target ray, e.g. a screen tap in AR.
+    intersectController(controller) {
+        const rotation = new THREE.Matrix4().extractRotation(controller.matrixWorld);
+        this.raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        this.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(rotation);
+        return this.raycaster.intersectObjects(this.objects, true);
+    }
+
+    // Treat a pointer press as a click only if it didn't turn into an orbit.
+    setupPointerEvents() {
+        let pointerDown = null;
+        this.onPointerDown = (event) => {
+            pointerDown = { x: event.clientX, y: event.clientY };
+        };
+        this.onPointerUp = (event) => {
+            if (this.isARMode || !pointerDown) return;
+            const moved = Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y);
+            pointerDown = null;
+            if (moved > 4) return;
+
+            const hit = this.intersect(event.clientX, event.clientY)[0];
+            this.dispatchEvent({ type: 'pick', object: hit ? hit.object : null, point: hit ? hit.point : null });
+        };
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    // Touch interaction for AR mode. One finger drags a part, two fingers
+    // rotate and pinch-scale the placed assembly.
+    setupTouchEvents() {
+        this.onTouchStart = (event) => {
+            if (!this.isARMode || !this.touchEnabled) return;
+
+            event.preventDefault();
+            if (event.touches.length === 2) {
+                // A second finger turns a part drag into a pinch.
+                if (this.selectedObject) {
+                    this.dispatchEvent({ type: 'dragend', object: this.selectedObject });
+                }
+                this.selectedObject = null;
+                this.pinch = {
+                    angle: getTouchAngle(event.touches),
+                    distance: getTouchDistance(event.touches)
+                };
+                this.dispatchEvent({ type: 'pinchstart' });
+                return;
+            }
+
+            if (!this.dragEnabled) return;
+            const touch = event.touches[0];
+            const intersects = this.intersect(touch.clientX, touch.clientY);
+            if (intersects.length > 0) {
+                const selectedObject = intersects[0].object;
+                const targetObject = this.findRoot(selectedObject);
+                this.selectedObject = targetObject;
+                this.initialTouchX = touch.clientX;
+                this.initialTouchY = touch.clientY;
+                this.initialObjectPosition = targetObject.position.clone();
+                this.dispatchEvent({ type: 'pick', object: selectedObject, point: intersects[0].point });
+                this.dispatchEvent({ type: 'dragstart', object: targetObject });
+            }
+        };
+
+        this.onTouchMove = (event) => {
+            if (!this.isARMode) return;
+
+            if (this.pinch && event.touches.length === 2) {
+                event.preventDefault();
+                const angle = getTouchAngle(event.touches);
+                this.dispatchEvent({
+                    type: 'pinch',
+                    rotation: this.pinch.angle - angle,
+                    scale: getTouchDistance(event.touches) / this.pinch.distance
+                });
+                this.pinch.angle = angle;
+                return;
+            }
+            if (!this.selectedObject) return;
+
+            event.preventDefault();
+            const touch = event.touches[0];
+            const deltaX = (touch.clientX - this.initialTouchX) * 0.01;
+            const deltaY = (touch.clientY - this.initialTouchY) * 0.01;
+            const cameraRight = new THREE.Vector3();
+            const cameraUp = new THREE.Vector3();
+            this.camera.getWorldDirection(cameraRight);
+            cameraRight.cross(this.camera.up).normalize();
+            cameraUp.copy(this.camera.up);
+            this.selectedObject.position.copy(this.initialObjectPosition);
+            this.selectedObject.position.add(cameraRight.multiplyScalar(-deltaX));
+            this.selectedObject.position.add(cameraUp.multiplyScalar(-deltaY));
+            this.dispatchEvent({ type: 'drag', object: this.selectedObject });
+        };
+
+        this.onTouchEnd = (event) => {
+            if (!this.isARMode) return;
+            if (event.touches.length < 2) {
+                this.pinch = null;
+            }
+            const object = this.selectedObject;
+            this.selectedObject = null;
+            if (object) {
+                this.dispatchEvent({ type: 'dragend', object });
+            }
+        };
+
+        this.domElement.addEventListener('touchstart', this.onTouchStart);
+        this.domElement.addEventListener('touchmove', this.onTouchMove);
+        this.domElement.addEventListener('touchend', this.onTouchEnd);
+    }
+
     update() {
+        if (this.isARMode) return;
         this.orbitControls.update();
     }
+
+    dispose() {
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('touchstart', this.onTouchStart);
+        this.domElement.removeEventListener('touchmove', this.onTouchMove);
+        this.domElement.removeEventListener('touchend', this.onTouchEnd);
+        this.dragControls.dispose();
+        this.orbitControls.dispose();
+    }
+}
+
+function getTouchAngle(touches) {
+    return Math.atan2(touches[1].clientY - touches[0].clientY, touches[1].clientX - touches[0].clientX);
+}
+
+function getTouchDistance(touches) {
+    return Math.max(Math.hypot(touches[1].clientX - touches[0].clientX, touches[1].clientY - touches[0].clientY), 1);
 }
@@ -0,0 +1,280 @@
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+
+const asset = (name) => new URL(`../assets/${name}`, import.meta.url).href;
+
+// Lights used with an environment map, which does most of the lighting; the
+// key light is kept for highlights and shadows.
+const ENVIRONMENT_LIGHTS = { ambient: 0, key: 0.6 };
+
+// Built-in lighting setups. "url" is an equirectangular HDR and "mobileUrl" a
+// smaller copy used on phones and tablets; "room" uses the generated
+// RoomEnvironment instead, and a preset with neither only has the lights.
+// The studio's mobile copy is not a downscale of brown_photostudio_02 but Poly
+// Haven's studio_small_03 (CC0) at 512x256, a similar softbox studio.
+export const LIGHTING_PRESETS = [
+    {
+        id: 'studio',
+        name: 'Photo studio',
+        url: asset('brown_photostudio_02_4k.hdr'),
+        mobileUrl: asset('studio_small_03_512.hdr'),
+        exposure: 0.7,
+        lights: ENVIRONMENT_LIGHTS
+    },
+    { id: 'room', name: 'Neutral room', room: true, exposure: 1, lights: ENVIRONMENT_LIGHTS },
+    { id: 'lights', name: 'Lights only', exposure: 1, lights: { ambient: 0.5, key: 1 } }
+];
+
+const KEY_LIGHT_POSITION = new THREE.Vector3(5, 5, 5);
+const _axis = new THREE.Vector3(0, 1, 0);
+
+// Environment lighting and background. Environment maps are loaded when a
+// preset is first picked and prefiltered with PMREMGenerator; the prefiltered
+// map is 256 pixels per cube face, so the mobile copy mostly costs sharpness in
+// the sharpest reflections and the background. Rotation is baked in when
+// prefiltering (three r159 has no scene.environmentRotation), so changing it
+// re-renders the map once per frame at most.
+//
+// The background is 'environment' (the prefiltered map, so it stays soft and
+// keeps the eye on the product), 'color' or 'gradient'.
+export class LightingManager extends THREE.EventDispatcher {
+    constructor(sceneManager, loadingManager) {
+        super();
+        this.sceneManager = sceneManager;
+        this.scene = sceneManager.scene;
+        this.renderer = sceneManager.renderer;
+        this.rgbeLoader = new RGBELoader(loadingManager);
+        this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+
+        this.presets = LIGHTING_PRESETS;
+        this.presetId = null;
+        this.config = null;
+        this.exposure = 1;
+        this.rotation = 0;
+        this.backgroundMode = 'color';
+        this.backgroundColor = '#cccccc';
+        this.gradient = ['#f4f4f4', '#b8b8b8'];
+        // 'small' or 'full' HDRs, or null to go by the device. See setAssetSize().
+        this.assetSize = null;
+        this.loadedUrl = null;
+
+        // Scene rendered into the environment map: a sphere with the HDR, or
+        // the generated room.
+        this.source = null;
+        this.target = null;
+        this.gradientTexture = null;
+        this.needsUpdate = false;
+        this.requestId = 0;
+    }
+
+    // Apply a preset by id. Resolves once the environment map is ready.
+    setPreset(id) {
+        const preset = this.presets.find(candidate => candidate.id === id);
+        if (!preset) {
+            return Promise.reject(new Error(`Unknown lighting preset: ${id}`));
+        }
+        return this.setEnvironment({ preset: id });
+    }
+
+    // Accepts { preset } or { url, mobileUrl }, either with optional exposure
+    // and rotation (degrees). Of overlapping calls only the last one applies.
+    async setEnvironment(config) {
+        const preset = config.preset ? this.presets.find(candidate => candidate.id === config.preset) : null;
+        if (config.preset && !preset) {
+            throw new Error(`Unknown lighting preset: ${config.preset}`);
+        }
+        const settings = { lights: ENVIRONMENT_LIGHTS, exposure: 0.7, ...preset, ...config };
+        const requestId = ++this.requestId;
+
+        let source = null;
+        if (settings.room) {
+            source = new RoomEnvironment(this.renderer);
+        } else if (settings.url) {
+            const texture = await this.loadTexture(settings);
+            if (requestId !== this.requestId) {
+                texture.dispose();
+                return;
+            }
+            source = createSphere(texture);
+        }
+        if (requestId !== this.requestId) return;
+
+        this.disposeSource();
+        this.source = source;
+        this.loadedUrl = source && source.isMesh ? source.material.map.userData.url : null;
+        this.presetId = preset ? preset.id : null;
+        this.config = settings;
+        this.rotation = settings.rotation ?? 0;
+        this.sceneManager.ambientLight.intensity = settings.lights.ambient;
+        this.sceneManager.keyLight.intensity = settings.lights.key;
+        this.exposure = settings.exposure;
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.renderer.toneMappingExposure = this.exposure;
+        this.updateEnvironment();
+    }
+
+    async loadTexture({ url, mobileUrl }) {
+        let texture;
+        if (mobileUrl && this.prefersSmall()) {
+            texture = await this.rgbeLoader.loadAsync(mobileUrl).catch(error => {
+                console.warn(`Could not load ${mobileUrl}, falling back to ${url}:`, error);
+                return null;
+            });
+            if (texture) texture.userData.url = mobileUrl;
+        }
+        if (!texture) {
+            texture = await this.rgbeLoader.loadAsync(url);
+            texture.userData.url = url;
+        }
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        return texture;
+    }
+
+    prefersSmall() {
+        return this.assetSize === null ? prefersSmallAssets() : this.assetSize === 'small';
+    }
+
+    // Choose between the full size and the mobile HDR of an environment
+    // ('full' or 'small', null for the device default). The current
+    // environment is reloaded if that changes which file it uses.
+    async setAssetSize(size) {
+        this.assetSize = size;
+        const config = this.config;
+        if (!config || !config.url || !config.mobileUrl) return;
+        const url = this.prefersSmall() ? config.mobileUrl : config.url;
+        if (url !== this.loadedUrl) {
+            await this.setEnvironment({ ...config, rotation: this.rotation, exposure: this.exposure });
+        }
+    }
+
+    setExposure(exposure) {
+        this.exposure = exposure;
+        this.renderer.toneMappingExposure = exposure;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    // Turn the environment (and the key light with it) around the vertical axis.
+    setRotation(degrees) {
+        this.rotation = ((degrees % 360) + 360) % 360;
+        this.needsUpdate = true;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    // 'environment', 'color' or 'gradient'.
+    setBackgroundMode(mode) {
+        if (!['environment', 'color', 'gradient'].includes(mode)) {
+            throw new Error(`Unknown background mode: ${mode}`);
+        }
+        this.backgroundMode = mode;
+        this.updateBackground();
+    }
+
+    // Any CSS colour, or 'transparent' to show the page behind the canvas.
+    setBackgroundColor(value) {
+        this.backgroundColor = value;
+        this.backgroundMode = 'color';
+        this.updateBackground();
+    }
+
+    // Top and bottom colour of the gradient background.
+    setBackgroundGradient(top, bottom) {
+        this.gradient = [top, bottom];
+        if (this.gradientTexture) {
+            this.gradientTexture.dispose();
+            this.gradientTexture = null;
+        }
+        this.backgroundMode = 'gradient';
+        this.updateBackground();
+    }
+
+    updateEnvironment() {
+        this.needsUpdate = false;
+        if (this.target) {
+            this.target.dispose();
+            this.target = null;
+        }
+        if (this.source) {
+            this.source.rotation.y = THREE.MathUtils.degToRad(this.rotation);
+            this.target = this.pmremGenerator.fromScene(this.source, this.config.room ? 0.04 : 0, 0.1, 100);
+        }
+        this.sceneManager.keyLight.position.copy(KEY_LIGHT_POSITION)
+            .applyAxisAngle(_axis, THREE.MathUtils.degToRad(this.rotation));
+        this.scene.environment = this.target ? this.target.texture : null;
+        this.updateBackground();
+    }
+
+    updateBackground() {
+        let background = this.backgroundColor;
+        if (this.backgroundMode === 'environment' && this.target) {
+            background = this.target.texture;
+        } else if (this.backgroundMode === 'gradient') {
+            if (!this.gradientTexture) {
+                this.gradientTexture = createGradientTexture(...this.gradient);
+            }
+            background = this.gradientTexture || this.gradient[1];
+        }
+        this.sceneManager.setBackground(background);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    // Called every frame; re-renders the environment map after a rotation.
+    update() {
+        if (this.needsUpdate) {
+            this.updateEnvironment();
+        }
+    }
+
+    disposeSource() {
+        if (!this.source) return;
+        if (this.source.isMesh) {
+            this.source.material.map.dispose();
+            this.source.geometry.dispose();
+            this.source.material.dispose();
+        } else {
+            this.source.dispose();
+        }
+        this.source = null;
+    }
+
+    dispose() {
+        this.requestId++;
+        this.disposeSource();
+        if (this.target) this.target.dispose();
+        if (this.gradientTexture) this.gradientTexture.dispose();
+        this.pmremGenerator.dispose();
+        this.scene.environment = null;
+    }
+}
+
+// Inside-out sphere showing an equirectangular texture the same way round as
+// scene.background would, so it can be rotated and rendered into a cube map.
+function createSphere(texture) {
+    const geometry = new THREE.SphereGeometry(10, 64, 32);
+    geometry.scale(1, 1, -1);
+    const material = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide, depthWrite: false });
+    return new THREE.Mesh(geometry, material);
+}
+
+function createGradientTexture(top, bottom) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 2;
+    canvas.height = 256;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+    const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, top);
+    gradient.addColorStop(1, bottom);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+// Phones, tablets and data saver get the small HDR.
+export function prefersSmallAssets() {
+    if (navigator.connection && navigator.connection.saveData) return true;
+    if (navigator.userAgentData) return navigator.userAgentData.mobile;
+    return Boolean(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+}
@@ -0,0 +1,263 @@
+import * as THREE from 'three';
+
+// Lengths in the scene are metres, as in glTF.
+const UNITS = {
+    mm: { factor: 1000, decimals: 0 },
+    cm: { factor: 100, decimals: 1 },
+    in: { factor: 39.3701, decimals: 2 }
+};
+
+const LINE_COLOR = 0xd00024;
+const LABEL_HEIGHT = 0.045;
+
+const _matrix = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+const _box = new THREE.Box3();
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+
+// Point-to-point measurements and overall dimensions of the loaded parts.
+// Everything is drawn in the scene itself (lines and sprite labels that keep
+// their size on screen), so it shows the same on the desktop and in AR.
+//
+// Lengths are reported in product space: `getFrame` returns the matrix from
+// product space to the world, which is the AR placement while one is active,
+// so a scaled or rotated placement doesn't change the numbers.
+export class MeasureTool extends THREE.EventDispatcher {
+    constructor(scene, camera, models, options = {}) {
+        super();
+        this.scene = scene;
+        this.camera = camera;
+        this.models = models;
+        this.getFrame = options.getFrame || (target => target.identity());
+        this.unit = 'mm';
+        this.enabled = false;
+        this.dimensionsVisible = false;
+
+        // Points are kept relative to the part they were picked on, so the
+        // measurement follows the part when it is moved or exploded.
+        this.points = [];
+
+        this.group = new THREE.Group();
+        this.group.name = 'measurements';
+        this.scene.add(this.group);
+
+        const material = new THREE.LineBasicMaterial({ color: LINE_COLOR, depthTest: false, transparent: true });
+        this.line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([_a, _b]), material);
+        this.line.renderOrder = 999;
+        this.line.frustumCulled = false;
+        this.line.visible = false;
+        this.markers = [0, 1].map(() => {
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(1, 12, 8),
+                new THREE.MeshBasicMaterial({ color: LINE_COLOR, depthTest: false, transparent: true })
+            );
+            marker.renderOrder = 999;
+            marker.visible = false;
+            return marker;
+        });
+        this.label = createLabel();
+        this.group.add(this.line, ...this.markers, this.label);
+
+        this.dimensions = new THREE.LineSegments(
+            new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(new Float32Array(24 * 3), 3)),
+            new THREE.LineBasicMaterial({ color: 0x333333, depthTest: false, transparent: true, opacity: 0.8 })
+        );
+        this.dimensions.renderOrder = 998;
+        this.dimensions.frustumCulled = false;
+        this.dimensions.visible = false;
+        this.dimensionLabels = [createLabel(), createLabel(), createLabel()];
+        this.group.add(this.dimensions, ...this.dimensionLabels);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.clear();
+        }
+    }
+
+    setUnit(unit) {
+        if (!UNITS[unit]) {
+            throw new Error(`Unknown unit: ${unit}`);
+        }
+        this.unit = unit;
+    }
+
+    setDimensionsVisible(visible) {
+        this.dimensionsVisible = visible;
+        this.dimensions.visible = visible;
+        this.dimensionLabels.forEach(label => {
+            label.visible = visible;
+        });
+    }
+
+    // Add a picked surface point. The third point starts a new measurement.
+    addPoint(object, point) {
+        if (this.points.length === 2) {
+            this.clear();
+        }
+        this.points.push({ object, local: object.worldToLocal(point.clone()) });
+        if (this.points.length === 2) {
+            this.dispatchEvent({ type: 'measure', distance: this.getDistance() });
+        }
+    }
+
+    clear() {
+        if (this.points.length === 0) return;
+        this.points.length = 0;
+        this.dispatchEvent({ type: 'measure', distance: null });
+    }
+
+    // Distance between the two points in metres of product space, or null.
+    getDistance() {
+        if (this.points.length < 2) return null;
+        this.getPoint(0, _a);
+        this.getPoint(1, _b);
+        return _a.distanceTo(_b) / this.getFrame(_matrix).getMaxScaleOnAxis();
+    }
+
+    getPoint(index, target) {
+        const { object, local } = this.points[index];
+        return object.localToWorld(target.copy(local));
+    }
+
+    // Size of the visible parts' bounding box in product space, or null.
+    getDimensions() {
+        const box = new THREE.Box3();
+        return this.computeBox(box) ? box.getSize(new THREE.Vector3()) : null;
+    }
+
+    format(meters) {
+        const { factor, decimals } = UNITS[this.unit];
+        return `${(meters * factor).toFixed(decimals)} ${this.unit}`;
+    }
+
+    computeBox(target) {
+        target.makeEmpty();
+        _inverse.copy(this.getFrame(_matrix)).invert();
+        this.models.forEach(model => {
+            if (!model.visible) return;
+            model.updateWorldMatrix(true, true);
+            model.traverseVisible(node => {
+                if (!node.isMesh) return;
+                if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+                _box.copy(node.geometry.boundingBox).applyMatrix4(_matrix.multiplyMatrices(_inverse, node.matrixWorld));
+                target.union(_box);
+            });
+        });
+        return !target.isEmpty();
+    }
+
+    // Called every frame to follow moving parts and the camera.
+    update() {
+        this.updateMeasurement();
+        if (this.dimensionsVisible) {
+            this.updateDimensions();
+        }
+    }
+
+    updateMeasurement() {
+        const count = this.points.length;
+        this.markers.forEach((marker, index) => {
+            marker.visible = index < count && this.points[index].object.visible;
+            if (marker.visible) this.getPoint(index, marker.position);
+        });
+        this.line.visible = count === 2 && this.markers[0].visible && this.markers[1].visible;
+        this.label.visible = this.line.visible;
+
+        // Markers keep roughly the same size on screen.
+        this.markers.forEach(marker => {
+            marker.scale.setScalar(0.004 * this.camera.getWorldPosition(_a).distanceTo(marker.position));
+        });
+        if (!this.line.visible) return;
+
+        this.line.geometry.setFromPoints([this.markers[0].position, this.markers[1].position]);
+        this.label.position.lerpVectors(this.markers[0].position, this.markers[1].position, 0.5);
+        setLabelText(this.label, this.format(this.getDistance()));
+    }
+
+    updateDimensions() {
+        const box = new THREE.Box3();
+        const visible = this.computeBox(box);
+        this.dimensions.visible = visible;
+        this.dimensionLabels.forEach(label => {
+            label.visible = visible;
+        });
+        if (!visible) return;
+
+        const frame = this.getFrame(new THREE.Matrix4());
+        const { min, max } = box;
+        const corners = [
+            [min.x, min.y, min.z], [max.x, min.y, min.z], [max.x, max.y, min.z], [min.x, max.y, min.z],
+            [min.x, min.y, max.z], [max.x, min.y, max.z], [max.x, max.y, max.z], [min.x, max.y, max.z]
+        ].map(corner => new THREE.Vector3(...corner).applyMatrix4(frame));
+        const edges = [0, 1, 1, 2, 2, 3, 3, 0, 4, 5, 5, 6, 6, 7, 7, 4, 0, 4, 1, 5, 2, 6, 3, 7];
+        const position = this.dimensions.geometry.attributes.position;
+        edges.forEach((corner, index) => position.setXYZ(index, corners[corner].x, corners[corner].y, corners[corner].z));
+        position.needsUpdate = true;
+
+        // Width along the front bottom edge, height up the front right edge
+        // and depth along the bottom right edge.
+        const size = box.getSize(new THREE.Vector3());
+        const [width, height, depth] = this.dimensionLabels;
+        width.position.lerpVectors(corners[4], corners[5], 0.5);
+        height.position.lerpVectors(corners[5], corners[6], 0.5);
+        depth.position.lerpVectors(corners[1], corners[5], 0.5);
+        setLabelText(width, this.format(size.x));
+        setLabelText(height, this.format(size.y));
+        setLabelText(depth, this.format(size.z));
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.group.traverse(node => {
+            if (node.geometry) node.geometry.dispose();
+            if (node.material) {
+                if (node.material.map) node.material.map.dispose();
+                node.material.dispose();
+            }
+        });
+    }
+}
+
+// Text sprite drawn on a canvas. sizeAttenuation is off so labels keep their
+// size on screen however far away the product is.
+function createLabel() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false,
+        transparent: true,
+        sizeAttenuation: false
+    });
+    material.map.colorSpace = THREE.SRGBColorSpace;
+    const sprite = new THREE.Sprite(material);
+    sprite.renderOrder = 1000;
+    sprite.visible = false;
+    sprite.userData.text = null;
+    return sprite;
+}
+
+function setLabelText(sprite, text) {
+    if (sprite.userData.text === text) return;
+    sprite.userData.text = text;
+
+    const canvas = sprite.material.map.image;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    context.font = 'bold 36px sans-serif';
+    const width = Math.min(canvas.width, Math.ceil(context.measureText(text).width) + 32);
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.fillRect((canvas.width - width) / 2, 4, width, canvas.height - 8);
+    context.fillStyle = '#333';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+    sprite.material.map.needsUpdate = true;
+    sprite.scale.set(LABEL_HEIGHT * (canvas.width / canvas.height), LABEL_HEIGHT, 1);
+}
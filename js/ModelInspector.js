@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+
+const TEXTURE_KEYS = [
+    'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap', 'alphaMap', 'bumpMap',
+    'clearcoatMap', 'clearcoatNormalMap', 'clearcoatRoughnessMap', 'sheenColorMap', 'sheenRoughnessMap',
+    'specularColorMap', 'specularIntensityMap', 'transmissionMap', 'thicknessMap', 'iridescenceMap',
+    'iridescenceThicknessMap', 'anisotropyMap'
+];
+
+// Limits for the checks. Textures larger than this are flagged even where the
+// GPU could take them, since they are slow to download and decode on phones.
+const MAX_TEXTURE_SIZE = 2048;
+// Metres from the origin at which a model is treated as misplaced.
+const FAR_FROM_ORIGIN = 10;
+
+export const RENDER_MODES = ['default', 'wireframe', 'normals', 'uv'];
+
+const _box = new THREE.Box3();
+const _center = new THREE.Vector3();
+const _inverse = new THREE.Matrix4();
+const _matrix = new THREE.Matrix4();
+
+// Quality checks for loaded models, mainly for artists checking deliverables
+// through the upload button. inspect() reports on one part: its node tree,
+// materials, textures with their resolution and GPU memory, triangle and draw
+// call counts, the glTF extensions it uses and any problems found:
+//
+//   issues: [{ level: 'error' | 'warning', message, node }]
+//
+// Debug render modes swap the part materials for the duration of a render
+// only, so they never clash with the selection tint, variants or section caps.
+export class ModelInspector extends THREE.EventDispatcher {
+    constructor(productManager, renderer) {
+        super();
+        this.productManager = productManager;
+        this.renderer = renderer;
+        this.renderMode = 'default';
+        this.debugMaterials = null;
+        this.swapped = new Map();
+    }
+
+    inspectAll() {
+        return Array.from(this.productManager.parts.keys(), name => this.inspect(name));
+    }
+
+    inspect(name) {
+        const model = this.productManager.parts.get(name);
+        if (!model) {
+            throw new Error(`Unknown part: ${name}`);
+        }
+
+        const report = {
+            name,
+            tree: null,
+            materials: [],
+            textures: [],
+            triangles: 0,
+            vertices: 0,
+            drawCalls: 0,
+            geometryBytes: 0,
+            textureBytes: 0,
+            extensionsUsed: [],
+            extensionsRequired: [],
+            issues: []
+        };
+        const issue = (level, message, node = null) => report.issues.push({ level, message, node });
+
+        const gltf = this.productManager.gltfs.get(name);
+        if (gltf) {
+            report.extensionsUsed = gltf.parser.json.extensionsUsed || [];
+            report.extensionsRequired = gltf.parser.json.extensionsRequired || [];
+        }
+
+        const materials = new Map();
+        const textures = new Map();
+        const buffers = new Set();
+        const maxTextureSize = Math.min(MAX_TEXTURE_SIZE, this.renderer.capabilities.maxTextureSize);
+
+        report.tree = this.describeNode(model, model, (node, entry) => {
+            if (node !== model && !isUnitScale(node.scale)) {
+                issue('warning', `Unapplied scale ${formatVector(node.scale)}`, entry.name);
+            }
+            if (!node.isMesh) return;
+
+            const geometry = node.geometry;
+            const nodeMaterials = getMaterials(node);
+            const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+            entry.triangles = Math.floor(count / 3);
+            entry.materials = nodeMaterials.map(material => material.name || material.type);
+            report.triangles += entry.triangles;
+            report.vertices += geometry.attributes.position.count;
+            // One draw call per material group, or per mesh without groups.
+            report.drawCalls += Array.isArray(node.material) ? Math.max(geometry.groups.length, 1) : 1;
+
+            Object.values(geometry.attributes).concat(geometry.index || []).forEach(attribute => {
+                const array = attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array;
+                if (buffers.has(array)) return;
+                buffers.add(array);
+                report.geometryBytes += array.byteLength;
+            });
+
+            const lit = nodeMaterials.some(material => !material.isMeshBasicMaterial);
+            if (lit && !geometry.attributes.normal) {
+                issue('warning', 'No normals; shading is computed per face', entry.name);
+            }
+            if (nodeMaterials.some(material => material.normalMap) && !geometry.attributes.uv) {
+                issue('error', 'Normal map but no texture coordinates', entry.name);
+            }
+
+            nodeMaterials.forEach(material => {
+                if (!materials.has(material)) {
+                    materials.set(material, { name: material.name || '(unnamed)', type: material.type, textures: [], meshes: 0 });
+                }
+                const materialEntry = materials.get(material);
+                materialEntry.meshes++;
+                TEXTURE_KEYS.forEach(key => {
+                    const texture = material[key];
+                    if (!texture || !texture.isTexture) return;
+                    if (!materialEntry.textures.includes(key)) materialEntry.textures.push(key);
+                    if (!textures.has(texture)) {
+                        textures.set(texture, describeTexture(texture));
+                    }
+                    const textureEntry = textures.get(texture);
+                    if (!textureEntry.slots.includes(key)) textureEntry.slots.push(key);
+                });
+            });
+        });
+
+        report.materials = Array.from(materials.values());
+        report.textures = Array.from(textures.values());
+        report.textures.forEach(texture => {
+            report.textureBytes += texture.bytes;
+            const size = `${texture.width} × ${texture.height}`;
+            if (Math.max(texture.width, texture.height) > maxTextureSize) {
+                issue('warning', `Texture ${texture.name} is ${size}, more than ${maxTextureSize}`);
+            }
+            if (!THREE.MathUtils.isPowerOfTwo(texture.width) || !THREE.MathUtils.isPowerOfTwo(texture.height)) {
+                issue('warning', `Texture ${texture.name} is ${size}, not a power of two`);
+            }
+        });
+
+        // Where the model sits in its own file, so ignoring the manifest
+        // transform of the part.
+        const bounds = this.getModelBounds(model);
+        if (!bounds.isEmpty()) {
+            const distance = bounds.distanceToPoint(new THREE.Vector3());
+            if (distance > FAR_FROM_ORIGIN) {
+                issue('warning', `Model is ${distance.toFixed(1)} m from the origin (centre ${formatVector(bounds.getCenter(_center))})`);
+            }
+        }
+        return report;
+    }
+
+    // Node tree as { name, type, children, triangles?, materials? }. visit is
+    // called with every node and its entry.
+    describeNode(node, root, visit) {
+        const entry = { name: node === root ? root.userData.partName : node.name || `(${node.type})`, type: node.type, children: [] };
+        visit(node, entry);
+        entry.children = node.children.map(child => this.describeNode(child, root, visit));
+        return entry;
+    }
+
+    getModelBounds(model) {
+        model.updateWorldMatrix(true, true);
+        _inverse.copy(model.matrixWorld).invert();
+        const box = new THREE.Box3();
+        model.traverse(node => {
+            if (!node.isMesh) return;
+            if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+            box.union(_box.copy(node.geometry.boundingBox).applyMatrix4(_matrix.multiplyMatrices(_inverse, node.matrixWorld)));
+        });
+        return box;
+    }
+
+    // 'default', 'wireframe', 'normals' or 'uv' (a checker texture).
+    setRenderMode(mode) {
+        if (!RENDER_MODES.includes(mode)) {
+            throw new Error(`Unknown render mode: ${mode}`);
+        }
+        this.renderMode = mode;
+        if (mode !== 'default' && !this.debugMaterials) {
+            this.debugMaterials = {
+                wireframe: new THREE.MeshBasicMaterial({ color: 0x222222, wireframe: true }),
+                normals: new THREE.MeshNormalMaterial(),
+                uv: new THREE.MeshBasicMaterial({ map: createCheckerTexture() })
+            };
+        }
+        this.dispatchEvent({ type: 'change', mode });
+    }
+
+    // Draws with the debug materials on the parts, then puts theirs back.
+    render(draw) {
+        if (this.renderMode === 'default') {
+            draw();
+            return;
+        }
+
+        const material = this.debugMaterials[this.renderMode];
+        this.productManager.parts.forEach(model => model.traverse(node => {
+            if (!node.isMesh) return;
+            this.swapped.set(node, node.material);
+            node.material = material;
+        }));
+        try {
+            draw();
+        } finally {
+            this.swapped.forEach((original, node) => {
+                node.material = original;
+            });
+            this.swapped.clear();
+        }
+    }
+
+    dispose() {
+        if (!this.debugMaterials) return;
+        if (this.debugMaterials.uv.map) this.debugMaterials.uv.map.dispose();
+        Object.values(this.debugMaterials).forEach(material => material.dispose());
+        this.debugMaterials = null;
+    }
+}
+
+function getMaterials(mesh) {
+    const material = mesh.userData.originalMaterial || mesh.material;
+    return Array.isArray(material) ? material : [material];
+}
+
+// Size and estimated GPU memory: four bytes a pixel uncompressed, the actual
+// data for compressed textures, plus a third for mipmaps.
+function describeTexture(texture) {
+    const image = texture.image || {};
+    const width = image.width || 0;
+    const height = image.height || 0;
+    let bytes;
+    if (texture.isCompressedTexture) {
+        bytes = texture.mipmaps.reduce((sum, mipmap) => sum + mipmap.data.byteLength, 0);
+    } else {
+        bytes = width * height * 4;
+        if (texture.generateMipmaps && texture.minFilter !== THREE.LinearFilter && texture.minFilter !== THREE.NearestFilter) {
+            bytes = Math.round(bytes * 4 / 3);
+        }
+    }
+    return {
+        name: texture.name || image.src?.split('/').pop() || '(unnamed)',
+        width,
+        height,
+        bytes,
+        compressed: Boolean(texture.isCompressedTexture),
+        slots: []
+    };
+}
+
+function isUnitScale(scale) {
+    return Math.abs(scale.x - 1) < 1e-4 && Math.abs(scale.y - 1) < 1e-4 && Math.abs(scale.z - 1) < 1e-4;
+}
+
+function formatVector(vector) {
+    return `(${vector.toArray().map(value => +value.toFixed(3)).join(', ')})`;
+}
+
+// Numbered squares on a checkerboard, to see how a texture would be stretched
+// or seamed across the UV layout.
+function createCheckerTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 512;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+    const cells = 8;
+    const cell = canvas.width / cells;
+    context.font = `${cell / 3}px sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    for (let y = 0; y < cells; y++) {
+        for (let x = 0; x < cells; x++) {
+            const dark = (x + y) % 2 === 1;
+            context.fillStyle = dark ? '#444444' : '#eeeeee';
+            context.fillRect(x * cell, y * cell, cell, cell);
+            context.fillStyle = dark ? '#eeeeee' : '#d00024';
+            context.fillText(`${String.fromCharCode(65 + y)}${x + 1}`, (x + 0.5) * cell, (y + 0.5) * cell);
+        }
+    }
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    return texture;
+}
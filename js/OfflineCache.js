@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+
+// The page side of sw.js: registers the service worker, follows whether the
+// browser is online and asks for the assets of a product to be saved for
+// offline use. Events:
+//
+//   online    { online }                   the connection came or went
+//   progress  { loaded, failed, total }    assets saved so far by precache()
+//
+// Without service worker support (or over plain http) nothing is cached and
+// getStatus() reports nothing saved.
+export class OfflineCache extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.online = navigator.onLine;
+        this.supported = 'serviceWorker' in navigator && window.isSecureContext;
+        this.ready = null;
+
+        this.onConnectionChange = () => {
+            this.online = navigator.onLine;
+            this.dispatchEvent({ type: 'online', online: this.online });
+        };
+        window.addEventListener('online', this.onConnectionChange);
+        window.addEventListener('offline', this.onConnectionChange);
+    }
+
+    // Resolves to the registration, or null where service workers aren't
+    // available.
+    register(scriptUrl) {
+        if (!this.supported) return Promise.resolve(null);
+        this.ready = navigator.serviceWorker.register(scriptUrl)
+            .then(() => navigator.serviceWorker.ready)
+            .catch(error => {
+                console.warn('Could not register the service worker:', error);
+                return null;
+            });
+        return this.ready;
+    }
+
+    // Whether the page is served through the service worker, which isn't the
+    // case on the very first visit.
+    get controlled() {
+        return Boolean(this.supported && navigator.serviceWorker.controller);
+    }
+
+    // How many of the given URLs are saved: { cached, total }.
+    async getStatus(urls) {
+        if (!this.supported || !window.caches) {
+            return { cached: 0, total: urls.length };
+        }
+        const matches = await Promise.all(urls.map(url => caches.match(url)));
+        return { cached: matches.filter(Boolean).length, total: urls.length };
+    }
+
+    // Save the given URLs for offline use, skipping those already saved.
+    // Resolves to { cached, failed }.
+    async precache(urls) {
+        const registration = this.ready ? await this.ready : null;
+        if (!registration || !registration.active) {
+            return { cached: 0, failed: urls.length };
+        }
+        return new Promise((resolve) => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = ({ data }) => {
+                if (data.type === 'progress') {
+                    this.dispatchEvent({ type: 'progress', loaded: data.loaded, failed: data.failed, total: data.total });
+                } else if (data.type === 'done') {
+                    channel.port1.close();
+                    resolve({ cached: data.cached, failed: data.failed });
+                }
+            };
+            registration.active.postMessage({ type: 'precache', urls }, [channel.port2]);
+        });
+    }
+
+    dispose() {
+        window.removeEventListener('online', this.onConnectionChange);
+        window.removeEventListener('offline', this.onConnectionChange);
+    }
+}
@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+const MODES = ['translate', 'rotate', 'scale'];
+
+// TransformControls gizmo on the selected part, for moving, turning and
+// scaling it precisely. Like the section view's gizmo it takes the pointer
+// from part dragging while hovered and from orbiting while dragged.
+//
+// Events: 'dragstart' and 'dragend' { object } around every gizmo drag, and
+// 'change' when the mode, space or visibility changed.
+export class PartGizmo extends THREE.EventDispatcher {
+    constructor(sceneManager, interactionManager) {
+        super();
+        this.scene = sceneManager.scene;
+        this.interactionManager = interactionManager;
+        this.object = null;
+        this.enabled = true;
+        // Features that need the gizmo out of the way (AR, measuring) hide it
+        // by name while they are active.
+        this.locks = new Set();
+
+        this.controls = new TransformControls(sceneManager.camera, interactionManager.domElement);
+        this.controls.setSpace('local');
+        this.controls.addEventListener('axis-changed', (event) => {
+            this.interactionManager.setDragLock('gizmo', event.value !== null);
+        });
+        this.controls.addEventListener('dragging-changed', (event) => {
+            this.interactionManager.orbitControls.enabled = !event.value;
+            this.dispatchEvent({ type: event.value ? 'dragstart' : 'dragend', object: this.controls.object });
+        });
+        this.scene.add(this.controls);
+        this.update();
+    }
+
+    get mode() {
+        return this.controls.getMode();
+    }
+
+    get space() {
+        return this.controls.space;
+    }
+
+    // Show the gizmo on this part, or hide it for null.
+    attach(object) {
+        this.object = object;
+        this.update();
+    }
+
+    // 'translate', 'rotate' or 'scale'.
+    setMode(mode) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown gizmo mode: ${mode}`);
+        }
+        this.controls.setMode(mode);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    // 'local' follows the part's own axes, 'world' the scene's.
+    setSpace(space) {
+        if (space !== 'local' && space !== 'world') {
+            throw new Error(`Unknown gizmo space: ${space}`);
+        }
+        this.controls.setSpace(space);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.update();
+    }
+
+    setLock(name, locked) {
+        if (locked) {
+            this.locks.add(name);
+        } else {
+            this.locks.delete(name);
+        }
+        this.update();
+    }
+
+    // Metres, or 0 for free movement.
+    setTranslationSnap(step) {
+        this.controls.setTranslationSnap(step > 0 ? step : null);
+    }
+
+    update() {
+        const active = Boolean(this.object) && this.enabled && this.locks.size === 0;
+        if (active && this.controls.object !== this.object) {
+            this.controls.attach(this.object);
+        } else if (!active && this.controls.object) {
+            this.controls.detach();
+            this.interactionManager.setDragLock('gizmo', false);
+        }
+        this.controls.enabled = active;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    dispose() {
+        this.controls.detach();
+        this.controls.dispose();
+        this.scene.remove(this.controls);
+    }
+}
@@ -0,0 +1,86 @@
+import * as THREE from 'three';
+
+const AXES = ['x', 'y', 'z'];
+
+const _frame = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _home = new THREE.Vector3();
+
+// Constraints for parts moved by hand, all worked out in product space (see
+// MeasureTool for `getFrame`) so they line up with the product in AR too:
+//
+//   grid       snap positions to multiples of this many metres, 0 for off
+//   axis       'x', 'y' or 'z' to move along one axis only, 'auto' for the
+//              axis the part has moved furthest along, or null for free
+//   home       put a part back where it belongs when it is dropped within
+//              homeDistance metres of it
+export class PartSnapping {
+    constructor(explodedView, options = {}) {
+        this.explodedView = explodedView;
+        this.getFrame = options.getFrame || (target => target.identity());
+        this.grid = 0;
+        this.axis = null;
+        this.home = true;
+        this.homeDistance = 0.01;
+        this.start = new THREE.Vector3();
+    }
+
+    setOptions(options) {
+        if (options.axis !== undefined && options.axis !== null && options.axis !== 'auto' && !AXES.includes(options.axis)) {
+            throw new Error(`Unknown snapping axis: ${options.axis}`);
+        }
+        ['grid', 'axis', 'home', 'homeDistance'].forEach(key => {
+            if (options[key] !== undefined) this[key] = options[key];
+        });
+    }
+
+    getOptions() {
+        return { grid: this.grid, axis: this.axis, home: this.home, homeDistance: this.homeDistance };
+    }
+
+    // Call when a drag starts.
+    begin(object) {
+        this.toProduct(object.position, this.start);
+    }
+
+    // Call after every drag step to apply the axis and grid.
+    constrain(object) {
+        if (!this.axis && !this.grid) return;
+
+        this.toProduct(object.position, _position);
+        let axis = this.axis;
+        if (axis === 'auto') {
+            const delta = _position.clone().sub(this.start);
+            axis = AXES.reduce((best, name) => (Math.abs(delta[name]) > Math.abs(delta[best]) ? name : best), 'x');
+        }
+        AXES.forEach(name => {
+            if (axis && name !== axis) {
+                _position[name] = this.start[name];
+            } else if (this.grid > 0) {
+                _position[name] = Math.round(_position[name] / this.grid) * this.grid;
+            }
+        });
+        object.position.copy(_position).applyMatrix4(this.getFrame(_frame));
+    }
+
+    // Call when a part is dropped. Returns true if it snapped home.
+    drop(object, name) {
+        if (!this.home || !this.explodedView.getExplodedPosition(name, _home)) return false;
+
+        this.toProduct(object.position, _position);
+        if (_position.distanceTo(_home) > this.homeDistance) return false;
+
+        const pose = this.explodedView.getAssembledPose(name);
+        const frame = this.getFrame(_frame);
+        new THREE.Matrix4().compose(_home, pose.quaternion, pose.scale).premultiply(frame)
+            .decompose(object.position, object.quaternion, object.scale);
+        object.updateMatrixWorld(true);
+        return true;
+    }
+
+    toProduct(position, target) {
+        _inverse.copy(this.getFrame(_frame)).invert();
+        return target.copy(position).applyMatrix4(_inverse);
+    }
+}
@@ -1,29 +1,135 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from '../vendor/meshopt/meshopt_decoder.module.js';
+import { applyPartTransform } from './ProductManifest.js';
+import { resolveUploadUrl } from './FileUpload.js';
+
+// Decoders are served from the viewer's own vendor folder, not a CDN, so
+// compressed models also load offline. Resolved against this module so
+// embedding pages don't need to mirror the folder layout.
+const DRACO_PATH = new URL('../vendor/draco/', import.meta.url).href;
+const BASIS_PATH = new URL('../vendor/basis/', import.meta.url).href;
+
+// glTF extensions GLTFLoader (with the decoders above) can handle. A model
+// that requires anything else is rejected instead of loading half broken.
+const SUPPORTED_EXTENSIONS = [
+    'KHR_draco_mesh_compression',
+    'KHR_lights_punctual',
+    'KHR_materials_anisotropy',
+    'KHR_materials_clearcoat',
+    'KHR_materials_emissive_strength',
+    'KHR_materials_ior',
+    'KHR_materials_iridescence',
+    'KHR_materials_sheen',
+    'KHR_materials_specular',
+    'KHR_materials_transmission',
+    'KHR_materials_unlit',
+    'KHR_materials_variants',
+    'KHR_materials_volume',
+    'KHR_mesh_quantization',
+    'KHR_texture_basisu',
+    'KHR_texture_transform',
+    'EXT_materials_bump',
+    'EXT_mesh_gpu_instancing',
+    'EXT_meshopt_compression',
+    'EXT_texture_avif',
+    'EXT_texture_webp'
+];
 
 export class ProductManager {
-    constructor() {
-        this.loader = new GLTFLoader();
+    constructor(scene, loadingManager, renderer) {
+        this.scene = scene;
+
+        this.dracoLoader = new DRACOLoader();
+        this.dracoLoader.setDecoderPath(DRACO_PATH);
+        // The KTX2 loader runs a worker pool, so one instance serves every
+        // GLTFLoader. Textures of uploaded .gltf files go through its URL modifier.
+        this.ktx2Loader = new KTX2Loader(new THREE.LoadingManager());
+        this.ktx2Loader.manager.setURLModifier(resolveUploadUrl);
+        this.ktx2Loader.setTranscoderPath(BASIS_PATH);
+        this.ktx2Loader.detectSupport(renderer);
+
+        this.loader = this.createLoader(loadingManager);
         this.parts = new Map();
+        // The loaded glTF of each part, kept for its parser and extensions.
+        this.gltfs = new Map();
     }
 
-    async loadPart(url) {
-        try {
-            const gltf = await this.loader.loadAsync(url);
-            const model = gltf.scene;
+    // Load every part of a manifest, adding them in manifest order once all
+    // of them have arrived or failed. A part that fails is left out, so the
+    // rest of the product still shows. Returns { models, failed: [{ part,
+    // error }] }, or null if the signal aborted in the meantime.
+    async loadParts(parts, { signal } = {}) {
+        const results = await Promise.allSettled(parts.map(part => this.loader.loadAsync(part.url)));
+        if (signal && signal.aborted) {
+            results.forEach(result => {
+                if (result.status === 'fulfilled') disposeObject(result.value.scene);
+            });
+            return null;
+        }
+        const models = [];
+        const failed = [];
+        results.forEach((result, index) => {
+            const part = parts[index];
+            if (result.status === 'fulfilled') {
+                models.push(this.addPart(part.name, result.value.scene, part, result.value));
+            } else {
+                failed.push({ part, error: result.reason });
+            }
+        });
+        return { models, failed };
+    }
 
-            // Preserve original scale
-            const originalScale = model.scale.clone();
-            model.userData.originalScale = originalScale;
+    // Options: manager (a LoadingManager for this load only), resourcePath and
+    // onProgress, used for uploads whose resources live in other files.
+    async loadPart(url, name, part = null, options = {}) {
+        const loader = options.manager ? this.createLoader(options.manager) : this.loader;
+        if (options.resourcePath) {
+            loader.setResourcePath(options.resourcePath);
+        }
+        const gltf = await loader.loadAsync(url, options.onProgress);
+        return this.addPart(name, gltf.scene, part, gltf);
+    }
 
-            // Add to parts collection
-            const partId = `part_${this.parts.size}`;
-            this.parts.set(partId, model);
+    // Every GLTFLoader comes from here so they all get the same decoders.
+    createLoader(manager) {
+        const loader = new GLTFLoader(manager);
+        loader.setDRACOLoader(this.dracoLoader);
+        loader.setKTX2Loader(this.ktx2Loader);
+        loader.setMeshoptDecoder(MeshoptDecoder);
+        loader.register(parser => {
+            const unsupported = (parser.json.extensionsRequired || [])
+                .filter(name => !SUPPORTED_EXTENSIONS.includes(name));
+            if (unsupported.length > 0) {
+                throw new Error(`This model needs glTF extensions the viewer doesn't support: ${unsupported.join(', ')}`);
+            }
+            return { name: 'viewer_required_extensions' };
+        });
+        return loader;
+    }
+
+    addPart(name, model, part = null, gltf = null) {
+        if (part) {
+            applyPartTransform(model, part);
+        }
+
+        model.userData.isDraggable = true;
+
+        // Uploads can share a file name, so keep part names unique.
+        let partName = name;
+        for (let i = 2; this.parts.has(partName); i++) {
+            partName = `${name} (${i})`;
+        }
+        model.userData.partName = partName;
 
-            return model;
-        } catch (error) {
-            console.error('Error loading part:', error);
+        this.parts.set(partName, model);
+        if (gltf) {
+            this.gltfs.set(partName, gltf);
         }
+        this.scene.add(model);
+        return model;
     }
 
     clearParts() {
@@ -31,11 +137,33 @@ export class ProductManager {
             if (part.parent) {
                 part.parent.remove(part);
             }
+            disposeObject(part);
         });
         this.parts.clear();
+        this.gltfs.clear();
     }
 
     getParts() {
         return Array.from(this.parts.values());
     }
+
+    dispose() {
+        this.clearParts();
+        this.dracoLoader.dispose();
+        this.ktx2Loader.dispose();
+    }
+}
+
+export function disposeObject(object) {
+    object.traverse(node => {
+        if (!node.isMesh) return;
+        node.geometry.dispose();
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        materials.forEach(material => {
+            Object.values(material).forEach(value => {
+                if (value instanceof THREE.Texture) value.dispose();
+            });
+            material.dispose();
+        });
+    });
 }
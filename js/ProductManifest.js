@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+
+// A product manifest describes everything the viewer needs to show one product.
+// Manifests live in products/<id>.json and are chosen with the ?product=<id> URL
+// parameter. URLs inside a manifest are resolved relative to the manifest file
+// and rotations are given in degrees. Optional fields are described where they
+// are read below.
+//
+// {
+//     "id": "kool-mandoline",
+//     "name": "Kool Mandoline",
+//     "version": "2",
+//     "environment": { "url": "../assets/studio.hdr", "mobileUrl": "../assets/studio_1k.hdr", "exposure": 0.7 },
+//     "camera": "front",
+//     "explode": { "distance": 0.1, "duration": 0.8 },
+//     "cameras": [
+//         { "name": "blade", "label": "Blade close-up", "position": [0, 0.1, 0.2], "target": [0, 0, 0], "fov": 50 }
+//     ],
+//     "parts": [
+//         { "name": "blade", "url": "../assets/blade.glb", "position": [0, 0, 0], "rotation": [0, 90, 0], "scale": 1,
+//           "explode": { "axis": [0, 1, 0], "distance": 0.05 } }
+//     ]
+// }
+
+export const DEFAULT_PRODUCT = 'kool-mandoline';
+
+export function getManifestUrl(search = window.location.search) {
+    const product = new URLSearchParams(search).get('product') || DEFAULT_PRODUCT;
+    // Allow a path to a manifest file as well as a plain product id.
+    if (product.endsWith('.json')) {
+        return product;
+    }
+    return `products/${encodeURIComponent(product)}.json`;
+}
+
+export async function loadManifest(url, { signal } = {}) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`Could not load product manifest ${url} (${response.status})`);
+    }
+    const json = await response.json();
+    return parseManifest(json, new URL(url, window.location.href).href);
+}
+
+export function parseManifest(json, baseUrl = window.location.href) {
+    if (!json || !Array.isArray(json.parts) || json.parts.length === 0) {
+        throw new Error('Product manifest must list at least one part');
+    }
+
+    // "version" is added to the URLs of the models and the HDR as ?v=, so
+    // copies saved for offline use (see sw.js) are replaced when it changes.
+    const resolve = (url) => {
+        const resolved = new URL(url, baseUrl);
+        if (json.version !== undefined) {
+            resolved.searchParams.set('v', json.version);
+        }
+        return resolved.href;
+    };
+    const names = new Set();
+
+    // A part's "explode" sets the axis and distance it travels in the
+    // exploded view; the top-level "explode" the defaults.
+    const parts = json.parts.map((part, index) => {
+        if (!part.url) {
+            throw new Error(`Part ${index} in the product manifest has no url`);
+        }
+        const name = part.name || part.url.split('/').pop().replace(/\.(glb|gltf)$/i, '');
+        if (names.has(name)) {
+            throw new Error(`Duplicate part name "${name}" in the product manifest`);
+        }
+        names.add(name);
+        return {
+            ...part,
+            name,
+            url: resolve(part.url),
+            position: toVector3(part.position, 0),
+            rotation: toEuler(part.rotation),
+            scale: toVector3(part.scale, 1)
+        };
+    });
+
+    // Views next to the standard front, side, top and iso ones, see
+    // CameraController.js. "camera" names the view to start from.
+    const cameras = (json.cameras || []).map(camera => ({
+        ...camera,
+        position: toVector3(camera.position, 0),
+        target: toVector3(camera.target, 0)
+    }));
+
+    // Annotations on parts, see HotspotManager.js.
+    const hotspots = (json.hotspots || []).map((hotspot, index) => {
+        if (!names.has(hotspot.part)) {
+            throw new Error(`Hotspot ${index} in the product manifest refers to unknown part "${hotspot.part}"`);
+        }
+        return {
+            ...hotspot,
+            position: Array.isArray(hotspot.position) ? toVector3(hotspot.position, 0) : null
+        };
+    });
+
+    const checkPart = (name, where) => {
+        if (!names.has(name)) {
+            throw new Error(`${where} in the product manifest refers to unknown part "${name}"`);
+        }
+    };
+    // The guided assembly, see StepSequencer.js.
+    const steps = (json.steps || []).map((step, index) => {
+        const where = `Step ${index + 1}`;
+        const show = Array.isArray(step.show) ? step.show : null;
+        const hide = step.hide || [];
+        const highlight = step.highlight || [];
+        [...(show || []), ...hide, ...highlight, ...Object.keys(step.parts || {})].forEach(name => checkPart(name, where));
+
+        const transforms = {};
+        Object.entries(step.parts || {}).forEach(([name, transform]) => {
+            transforms[name] = { position: toVector3(transform.position, 0), rotation: toEuler(transform.rotation) };
+        });
+        return {
+            ...step,
+            caption: step.caption || '',
+            camera: step.camera && typeof step.camera === 'object' ? {
+                position: toVector3(step.camera.position, 0),
+                target: toVector3(step.camera.target, 0)
+            } : step.camera || null,
+            show,
+            hide,
+            highlight,
+            parts: transforms,
+            duration: step.duration ?? 1,
+            hold: step.hold ?? 3
+        };
+    });
+
+    // Either { "preset": "studio" }, one of the lighting presets, or an HDR
+    // "url" with an optional smaller "mobileUrl" for phones, see
+    // LightingManager.js.
+    let environment = null;
+    if (json.environment && json.environment.url) {
+        environment = {
+            ...json.environment,
+            url: resolve(json.environment.url),
+            mobileUrl: json.environment.mobileUrl ? resolve(json.environment.mobileUrl) : null,
+            exposure: json.environment.exposure ?? 0.7
+        };
+    } else if (json.environment && json.environment.preset) {
+        environment = { ...json.environment };
+    }
+
+    // "stage" (ground, contact shadows and reflection, see GroundStage.js) is
+    // passed on as is. "variants" are colour and material overrides, see
+    // VariantManager.js, and "variant" the one shown first.
+    return {
+        ...json,
+        id: json.id || null,
+        name: json.name || json.id || 'Product',
+        baseUrl,
+        environment,
+        camera: json.camera || null,
+        cameras,
+        variant: json.variant || null,
+        variants: Array.isArray(json.variants) ? json.variants : [],
+        hotspots,
+        steps,
+        parts
+    };
+}
+
+export function applyPartTransform(object, part) {
+    object.position.copy(part.position);
+    object.rotation.copy(part.rotation);
+    object.scale.copy(part.scale);
+}
+
+function toVector3(value, fallback) {
+    if (typeof value === 'number') {
+        return new THREE.Vector3(value, value, value);
+    }
+    if (Array.isArray(value)) {
+        return new THREE.Vector3().fromArray(value);
+    }
+    return new THREE.Vector3(fallback, fallback, fallback);
+}
+
+function toEuler(value) {
+    const degrees = Array.isArray(value) ? value : [0, 0, 0];
+    return new THREE.Euler(
+        THREE.MathUtils.degToRad(degrees[0] || 0),
+        THREE.MathUtils.degToRad(degrees[1] || 0),
+        THREE.MathUtils.degToRad(degrees[2] || 0)
+    );
+}
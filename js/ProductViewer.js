@@ -0,0 +1,1048 @@
+import * as THREE from 'three';
+import { ARButton } from 'three/addons/webxr/ARButton.js';
+import { SceneManager } from './SceneManager.js';
+import { ProductManager } from './ProductManager.js';
+import { InteractionManager } from './InteractionManager.js';
+import { SelectionManager } from './SelectionManager.js';
+import { ExplodedView } from './ExplodedView.js';
+import { ARPlacement } from './ARPlacement.js';
+import { VariantManager } from './VariantManager.js';
+import { CaptureManager } from './CaptureManager.js';
+import { MeasureTool } from './MeasureTool.js';
+import { SectionView } from './SectionView.js';
+import { HotspotManager } from './HotspotManager.js';
+import { StepSequencer } from './StepSequencer.js';
+import { LightingManager } from './LightingManager.js';
+import { GroundStage } from './GroundStage.js';
+import { TransformHistory } from './TransformHistory.js';
+import { PartSnapping } from './PartSnapping.js';
+import { PartGizmo } from './PartGizmo.js';
+import { ExportManager, openQuickLook } from './ExportManager.js';
+import { ModelInspector } from './ModelInspector.js';
+import { CameraController } from './CameraController.js';
+import { QualityManager } from './QualityManager.js';
+import { getInputFiles, groupUploads, createResourceResolver } from './FileUpload.js';
+import { UIManager } from './UIManager.js';
+import { loadManifest, parseManifest } from './ProductManifest.js';
+
+const GIZMO_KEYS = { w: 'translate', e: 'rotate', r: 'scale' };
+const ARROW_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+// Keyboard steps: radians per orbit, distance factor per zoom and metres per
+// nudge when there is no snapping grid. Shift makes them larger.
+const ORBIT_STEP = Math.PI / 36;
+const ZOOM_STEP = 1.1;
+const NUDGE_STEP = 0.005;
+
+const KEYBOARD_HELP = 'Arrow keys rotate the view, plus and minus zoom. Tab steps through the parts; ' +
+    'arrow keys then move the selected part. Escape clears the selection.';
+
+// Events in the container after which a frame is drawn when rendering on
+// demand.
+const INPUT_EVENTS = ['pointerdown', 'pointermove', 'pointerup', 'wheel', 'keydown', 'input', 'change'];
+
+let nextViewerId = 1;
+
+// Embeddable product viewer. Renders into the given container and reports
+// what happens through events:
+//
+//   load      { manifest }                 a product finished loading
+//   progress  { url, loaded, total }       an asset finished downloading
+//   error     { error, file, part }        a manifest or model failed to load;
+//                                          part is the name of a manifest part
+//                                          that failed while the rest loaded
+//   uploadprogress { file, status, loaded, total, name, error }
+//                                          per-file upload progress, status is
+//                                          'loading', 'loaded' (with the part
+//                                          name) or 'error'
+//   select    { name, object }             the selected part changed
+//   change    {}                           parts were added or removed
+//   variantchange { name }                 a material variant was applied
+//   statechange {}                         something getState() covers changed
+//   hotspot   { index, hotspot }           a hotspot card was opened
+//   step      { index, step }              the assembly guide moved to a step
+//   measure   { distance }                 a measurement was taken (metres) or
+//                                          cleared (null)
+//   historychange { canUndo, canRedo }     the undo history changed
+//   reducedmotionchange { enabled }        reduced motion was turned on or off
+//   qualitychange { mode, level, pixelRatio }
+//                                          the quality mode or level changed
+//
+// const viewer = new ProductViewer(document.getElementById('scene-container'));
+// viewer.addEventListener('select', (event) => console.log(event.name));
+// await viewer.load('products/kool-mandoline.json');
+export class ProductViewer extends THREE.EventDispatcher {
+    constructor(container, options = {}) {
+        super();
+        this.container = container;
+        this.options = {
+            ui: true,
+            ar: true,
+            autoRotate: false,
+            background: null,
+            // Element that receives the keyboard shortcuts.
+            keyboardTarget: window,
+            // Turns off damping and auto-rotation. null follows the system setting.
+            reducedMotion: null,
+            // 'auto' adapts to the frame rate; 'low', 'medium' or 'high' fix it.
+            quality: 'auto',
+            // Only draw frames when something changed.
+            renderOnDemand: true,
+            // OfflineCache that loaded products are saved to, see sw.js.
+            offline: null,
+            ...options
+        };
+        this.manifest = null;
+        this.isARMode = false;
+        this.offline = this.options.offline;
+
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+
+        this.loadingManager = new THREE.LoadingManager();
+        this.loadingManager.onProgress = (url, loaded, total) => {
+            if (this.ui) {
+                this.ui.setLoadingText(`loading ${loaded} of ${total}`);
+            }
+            this.quality.invalidate();
+            this.dispatchEvent({ type: 'progress', url, loaded, total });
+        };
+
+        this.sceneManager = new SceneManager(container, { antialias: this.options.quality !== 'low' });
+        this.scene = this.sceneManager.scene;
+        this.camera = this.sceneManager.camera;
+        this.renderer = this.sceneManager.renderer;
+
+        this.lighting = new LightingManager(this.sceneManager, this.loadingManager);
+        this.productManager = new ProductManager(this.scene, this.loadingManager, this.renderer);
+        this.interactionManager = new InteractionManager(this.scene, this.camera, this.renderer.domElement);
+        this.orbitControls = this.interactionManager.orbitControls;
+        this.cameraController = new CameraController(this.camera, this.orbitControls, this.productManager.parts, {
+            getCameras: () => (this.manifest ? this.manifest.cameras : [])
+        });
+        this.selection = new SelectionManager(this.productManager.parts);
+        this.explodedView = new ExplodedView();
+        this.variants = new VariantManager(this.productManager);
+        // Product space to world space, which is the AR placement while the
+        // assembly is placed in AR.
+        const getFrame = (target) => (this.isARMode && this.arPlacement.placed
+            ? this.arPlacement.getPlacementMatrix(target)
+            : target.identity());
+        this.measure = new MeasureTool(this.scene, this.camera, this.productManager.parts, { getFrame });
+        this.stage = new GroundStage(this.sceneManager, this.productManager.parts, { getFrame });
+        this.history = new TransformHistory({ getFrame });
+        this.snapping = new PartSnapping(this.explodedView, { getFrame });
+        this.gizmo = new PartGizmo(this.sceneManager, this.interactionManager);
+        this.section = new SectionView(this.sceneManager, this.interactionManager, this.productManager.parts);
+        this.hotspots = new HotspotManager(container, this.sceneManager, this.productManager.parts);
+        this.steps = new StepSequencer(
+            this.productManager.parts, this.explodedView, this.selection, this.camera, this.orbitControls,
+            { getCameraPreset: (name) => this.cameraController.getViewPose(name) }
+        );
+        this.capture = new CaptureManager(this.sceneManager, this.orbitControls);
+        this.exporter = new ExportManager(this.productManager.parts, this.selection, { getFrame });
+        this.inspector = new ModelInspector(this.productManager, this.renderer);
+        this.quality = new QualityManager(this.sceneManager, this.lighting, this.stage, this.productManager.parts, {
+            renderOnDemand: this.options.renderOnDemand
+        });
+        this.quality.setMode(this.options.quality);
+
+        this.ui = this.options.ui ? new UIManager(this, container) : null;
+
+        if (this.options.background !== null) {
+            this.setBackground(this.options.background);
+        }
+        this.setupReducedMotion();
+        this.setAutoRotate(this.options.autoRotate);
+
+        this.setupEventListeners();
+        this.setupAccessibility();
+        if (this.options.ar) {
+            this.setupAR();
+        }
+        this.animate();
+    }
+
+    // -------------------------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------------------------
+
+    // Load a product from a manifest URL or an already fetched manifest object.
+    // Starting another load cancels this one, which then resolves to null.
+    async load(manifest) {
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        const loadController = new AbortController();
+        const { signal } = loadController;
+        this.loadController = loadController;
+
+        if (this.ui) {
+            this.ui.showLoading();
+        }
+        try {
+            const nextManifest = typeof manifest === 'string' ? await loadManifest(manifest, { signal }) : parseManifest(manifest);
+            if (signal.aborted) return null;
+            this.manifest = nextManifest;
+            this.environmentId = null;
+            this.clearParts();
+            this.renderer.domElement.setAttribute('aria-label', `${this.manifest.name}, 3D view`);
+            if (this.ui && this.offline) {
+                this.ui.updateCacheStatus(this.manifest.parts.map(part => part.url)).catch(error => {
+                    console.warn('Could not read the offline cache:', error);
+                });
+            }
+
+            // A missing HDR only costs the environment lighting, so it
+            // doesn't fail the product; the current lighting stays.
+            const environment = this.manifest.environment;
+            const [, parts] = await Promise.all([
+                environment ? this.lighting.setEnvironment(environment).catch(error => {
+                    console.warn('Could not load the environment, keeping the current lighting:', error);
+                    if (this.ui) {
+                        this.ui.showToast(`Could not load the lighting: ${error.message}`);
+                    }
+                }) : null,
+                this.productManager.loadParts(this.manifest.parts, { signal })
+            ]);
+            if (!parts) return null;
+            if (parts.models.length === 0) {
+                throw parts.failed[0].error;
+            }
+            parts.failed.forEach(({ part, error }) => {
+                console.error(`Error loading part ${part.name}:`, error);
+                this.dispatchEvent({ type: 'error', error: new Error(`Could not load ${part.name}: ${error.message}`), part: part.name });
+            });
+
+            this.stage.reset(this.manifest.stage || {});
+            const explode = this.manifest.explode || {};
+            this.explodedView.distance = explode.distance ?? null;
+            this.explodedView.duration = explode.duration ?? 0.8;
+            this.onPartsChanged();
+
+            if (this.manifest.camera) {
+                this.applyCameraPreset(this.manifest.camera);
+            }
+            this.hotspots.setHotspots(this.manifest.hotspots);
+            this.steps.setSteps(this.manifest.steps);
+            this.variants.setManifestVariants(this.manifest.variants);
+            if (this.manifest.variant) {
+                await this.selectVariant(this.manifest.variant);
+            }
+        } catch (error) {
+            if (signal.aborted) return null;
+            console.error('Error loading product:', error);
+            if (this.ui) {
+                this.ui.setLoadingText(error.message);
+            }
+            this.dispatchEvent({ type: 'error', error });
+            throw error;
+        }
+
+        if (this.ui) {
+            this.ui.hideLoading();
+        }
+        this.dispatchEvent({ type: 'load', manifest: this.manifest });
+        if (this.offline) {
+            this.saveForOffline().catch(error => console.warn('Could not save the product for offline use:', error));
+        }
+        return this.manifest;
+    }
+
+    // Models and HDR of the current product, as absolute URLs.
+    getAssetUrls() {
+        if (!this.manifest) return [];
+        const urls = this.manifest.parts.map(part => part.url);
+        if (this.lighting.loadedUrl) {
+            urls.push(this.lighting.loadedUrl);
+        }
+        return urls.filter(url => /^https?:/.test(url));
+    }
+
+    // Save the current product's models and HDR for offline use. Called after
+    // every load when the viewer has an OfflineCache. Resolves to
+    // { cached, failed }.
+    saveForOffline() {
+        if (!this.offline) {
+            return Promise.reject(new Error('The viewer has no offline cache'));
+        }
+        return this.offline.precache(this.getAssetUrls());
+    }
+
+    // Load user-provided models. Accepts a FileList, File objects or
+    // { file, path } entries (see FileUpload.js); .gltf files pick up their
+    // .bin and texture files from the same upload. With replace: false the
+    // models are added next to the current parts.
+    async addFiles(files, { replace = true } = {}) {
+        const entries = Array.from(files).some(entry => entry.file) ? Array.from(files) : getInputFiles(files);
+        const { models, resources } = groupUploads(entries);
+        if (models.length === 0) {
+            const error = new Error('No .glb or .gltf file found in the upload');
+            this.dispatchEvent({ type: 'error', error, file: null });
+            return [];
+        }
+
+        if (replace) {
+            this.clearParts();
+        }
+        const loaded = await Promise.all(models.map(model => this.loadUpload(model, resources)));
+        return loaded.filter(Boolean);
+    }
+
+    async loadUpload(model, resources) {
+        const file = model.path;
+        const resolver = createResourceResolver(resources, model.path);
+        const url = URL.createObjectURL(model.file);
+        const progress = (status, loaded, extra = {}) => {
+            this.dispatchEvent({ type: 'uploadprogress', file, status, loaded, total: model.file.size, ...extra });
+        };
+
+        progress('loading', 0);
+        try {
+            const object = await this.productManager.loadPart(url, model.name, null, {
+                manager: resolver.manager,
+                resourcePath: resolver.resourcePath,
+                onProgress: (event) => progress('loading', event.loaded)
+            });
+            this.onPartsChanged();
+            progress('loaded', model.file.size, { name: object.userData.partName });
+            return object;
+        } catch (loadError) {
+            const error = resolver.missing.size > 0
+                ? new Error(`${file} needs files that were not uploaded: ${Array.from(resolver.missing).join(', ')}`)
+                : new Error(`${file} could not be loaded: ${loadError.message || loadError}`);
+            console.error(error.message, loadError);
+            progress('error', 0, { error });
+            this.dispatchEvent({ type: 'error', error, file });
+            return null;
+        } finally {
+            URL.revokeObjectURL(url);
+            resolver.dispose();
+        }
+    }
+
+    selectPart(name) {
+        this.selection.select(name);
+    }
+
+    getVariants() {
+        return this.variants.getVariants();
+    }
+
+    getVariant() {
+        return this.variants.current;
+    }
+
+    // Apply a material variant by name, or null for the original materials.
+    async selectVariant(name) {
+        // Take the selection tint off first so it is reapplied to the new materials.
+        const selected = this.selection.getSelected();
+        if (selected) {
+            this.selection.setHighlight(selected, false);
+        }
+        try {
+            await this.variants.select(name);
+        } finally {
+            if (selected) {
+                this.selection.setHighlight(selected, true);
+            }
+        }
+        this.dispatchEvent({ type: 'variantchange', name });
+        this.notifyStateChange();
+    }
+
+    getPart(name) {
+        return this.productManager.parts.get(name) || null;
+    }
+
+    getPartNames() {
+        return Array.from(this.productManager.parts.keys());
+    }
+
+    // Accepts a lighting preset id (see LightingManager.js), an HDR URL or
+    // { preset | url, mobileUrl, exposure, rotation }. A bare URL keeps the
+    // current exposure.
+    async setEnvironment(environment) {
+        let config = environment;
+        if (typeof environment === 'string') {
+            config = this.lighting.presets.some(preset => preset.id === environment)
+                ? { preset: environment }
+                : { url: environment, exposure: this.lighting.exposure };
+        }
+        await this.lighting.setEnvironment(config);
+        this.environmentId = config.preset || config.url;
+        this.notifyStateChange();
+    }
+
+    // Undo the last move made by hand. Returns false if there was nothing to undo.
+    undo() {
+        const entry = this.history.undo();
+        if (entry) this.notifyStateChange();
+        return Boolean(entry);
+    }
+
+    redo() {
+        const entry = this.history.redo();
+        if (entry) this.notifyStateChange();
+        return Boolean(entry);
+    }
+
+    // Options for parts moved by hand: grid, axis, home and homeDistance, see
+    // PartSnapping.js.
+    setSnapping(options) {
+        this.snapping.setOptions(options);
+        this.gizmo.setTranslationSnap(this.snapping.grid);
+    }
+
+    // The transform gizmo on the selected part: 'translate', 'rotate' or
+    // 'scale' (also W, E and R).
+    setGizmoMode(mode) {
+        this.gizmo.setMode(mode);
+    }
+
+    // 'local' or 'world' (Q switches between them).
+    setGizmoSpace(space) {
+        this.gizmo.setSpace(space);
+    }
+
+    setGizmoEnabled(enabled) {
+        this.gizmo.setEnabled(enabled);
+    }
+
+    // Ground, contact shadow and reflection options, see GroundStage.js.
+    setStage(options) {
+        this.stage.setOptions(options);
+    }
+
+    getEnvironmentPresets() {
+        return this.lighting.presets.map(({ id, name }) => ({ id, name }));
+    }
+
+    setExposure(exposure) {
+        this.lighting.setExposure(exposure);
+    }
+
+    // Degrees around the vertical axis.
+    setEnvironmentRotation(degrees) {
+        this.lighting.setRotation(degrees);
+    }
+
+    // 'environment' shows the environment map, 'color' the background colour
+    // and 'gradient' the background gradient.
+    setBackgroundMode(mode) {
+        this.lighting.setBackgroundMode(mode);
+    }
+
+    setBackgroundGradient(top, bottom) {
+        this.lighting.setBackgroundGradient(top, bottom);
+    }
+
+    // While measure mode is on, clicks (taps in AR) pick the two points of a
+    // measurement instead of selecting and dragging parts.
+    setMeasureMode(enabled) {
+        this.measure.setEnabled(enabled);
+        this.interactionManager.setDragLock('measure', enabled);
+        this.gizmo.setLock('measure', enabled);
+    }
+
+    // 'mm', 'cm' or 'in'.
+    setMeasureUnit(unit) {
+        this.measure.setUnit(unit);
+    }
+
+    setDimensionsVisible(visible) {
+        this.measure.setDimensionsVisible(visible);
+    }
+
+    // Render the current view to a PNG Blob. Options: width, height (default
+    // to the canvas size, may be larger) and transparent.
+    captureImage(options) {
+        return this.capture.captureImage(options);
+    }
+
+    // Record a 360° turn around the orbit target. Options: width, height,
+    // transparent, frames, duration (seconds), format ('webm' or 'gif') and
+    // onProgress(fraction).
+    recordTurntable(options) {
+        return this.capture.recordTurntable(options);
+    }
+
+    // Write the visible parts as currently arranged to a GLB Blob.
+    exportGLB() {
+        return this.exporter.exportGLB({ name: this.manifest?.id || 'product' });
+    }
+
+    // Same as exportGLB() but USDZ, for iOS Quick Look.
+    exportUSDZ() {
+        return this.exporter.exportUSDZ({ name: this.manifest?.id || 'product' });
+    }
+
+    // Open the current arrangement in iOS Quick Look, the AR path on devices
+    // without WebXR. See supportsQuickLook() in ExportManager.js.
+    async openQuickLook() {
+        openQuickLook(await this.exportUSDZ());
+    }
+
+    // Node tree, materials, textures, counts, glTF extensions and problems
+    // found in a part, see ModelInspector.js. Without a name, every part.
+    inspectModel(name) {
+        return name === undefined ? this.inspector.inspectAll() : this.inspector.inspect(name);
+    }
+
+    // 'default', 'wireframe', 'normals' or 'uv'.
+    setRenderMode(mode) {
+        this.inspector.setRenderMode(mode);
+    }
+
+    // 'auto', 'low', 'medium' or 'high'. Auto lowers the resolution of the
+    // canvas, the ground shadow and the environment while frames are slow.
+    setQuality(mode) {
+        this.quality.setMode(mode);
+    }
+
+    // { fps, frameTime, calls, triangles, mode, level, pixelRatio }, updated
+    // twice a second. fps counts drawn frames only, so it drops to 0 while
+    // nothing moves and frames are rendered on demand.
+    getQualityStats() {
+        return this.quality.getStats();
+    }
+
+    setRenderOnDemand(enabled) {
+        this.quality.renderOnDemand = enabled;
+        this.quality.invalidate();
+    }
+
+    // Draw the next frame. Needed after changing the scene from outside the
+    // viewer while rendering on demand.
+    requestRender() {
+        this.quality.invalidate();
+    }
+
+    // Snapshot of everything needed to reproduce the current view. Parts are
+    // listed in load order with their index in the manifest (null for uploaded
+    // ones) and flagged when they are away from their assembled pose. See
+    // ViewState.js for the URL encoding.
+    getState() {
+        const manifestNames = this.manifest ? this.manifest.parts.map(part => part.name) : [];
+        return {
+            camera: {
+                position: this.camera.position.toArray(),
+                target: this.orbitControls.target.toArray()
+            },
+            parts: Array.from(this.productManager.parts, ([name, model]) => ({
+                name,
+                index: manifestNames.includes(name) ? manifestNames.indexOf(name) : null,
+                moved: this.isPartMoved(name, model),
+                position: model.position.toArray(),
+                quaternion: model.quaternion.toArray(),
+                scale: model.scale.toArray()
+            })),
+            explode: this.explodedView.factor,
+            selected: this.selection.selectedName,
+            environment: this.environmentId,
+            variant: this.variants.current
+        };
+    }
+
+    // Restore a full or partial state. Part transforms may be keyed by name or
+    // by index in the manifest.
+    async setState(state) {
+        // A stale link shouldn't stop the rest of the view from being restored.
+        if (state.variant !== undefined) {
+            await this.selectVariant(state.variant).catch(error => console.warn(error.message));
+        }
+        if (state.environment) {
+            await this.setEnvironment(state.environment).catch(error => console.warn(error.message));
+        }
+
+        if (state.parts || state.explode !== undefined) {
+            this.explodedView.reset();
+            this.explodedView.setFactor(state.explode || 0);
+        }
+        const manifestParts = this.manifest ? this.manifest.parts : [];
+        Object.entries(state.parts || {}).forEach(([key, transform]) => {
+            const model = this.getPart(/^\d+$/.test(key) ? manifestParts[key]?.name : key);
+            if (!model) return;
+            model.position.fromArray(transform.position);
+            model.quaternion.fromArray(transform.quaternion);
+            model.scale.fromArray(transform.scale);
+        });
+
+        if (state.camera) {
+            this.camera.position.fromArray(state.camera.position);
+            this.orbitControls.target.fromArray(state.camera.target);
+            this.camera.updateProjectionMatrix();
+            this.orbitControls.update();
+        }
+        if (state.selected !== undefined) {
+            this.selection.select(state.selected);
+        }
+        this.notifyStateChange();
+    }
+
+    // Accepts any CSS colour, or 'transparent' to let the page show through.
+    setBackground(value) {
+        this.lighting.setBackgroundColor(value);
+    }
+
+    // Turn around the product while the user leaves the view alone. Any
+    // input stops it for a few seconds.
+    setAutoRotate(enabled) {
+        this.cameraController.setAutoRotate(enabled);
+    }
+
+    // Turns off orbit damping, auto-rotation and animated camera moves while
+    // enabled. Follows the system setting when that changes.
+    setReducedMotion(enabled) {
+        this.reducedMotion = enabled;
+        this.orbitControls.enableDamping = !enabled;
+        this.cameraController.reducedMotion = enabled;
+        this.dispatchEvent({ type: 'reducedmotionchange', enabled });
+    }
+
+    // Move the selected part one step along the world axis closest to the
+    // screen's x and y, as the arrow keys do. The step is the snapping grid
+    // if one is set.
+    nudgePart(x, y) {
+        const object = this.selection.getSelected();
+        if (!object) return;
+
+        const step = this.snapping.grid || NUDGE_STEP;
+        const right = closestAxis(new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0));
+        const up = closestAxis(new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1));
+        this.history.begin([object], 'Move part');
+        this.snapping.begin(object);
+        object.position.addScaledVector(right, x * step).addScaledVector(up, y * step);
+        this.snapping.constrain(object);
+        object.updateMatrixWorld(true);
+        this.history.commit();
+        this.notifyStateChange();
+    }
+
+    // Match the renderer to the container size. Called automatically when the
+    // container is resized.
+    resize() {
+        this.sceneManager.onResize();
+        this.quality.invalidate();
+    }
+
+    // Frame the parts from the front and fit the zoom limits to them.
+    fitCameraToScene() {
+        this.stage.fit();
+        if (this.cameraController.fit()) {
+            this.cameraController.setView('front', { animate: false });
+        }
+    }
+
+    // The standard views (front, side, top, iso) followed by the cameras of
+    // the product manifest, as { name, label }.
+    getCameraViews() {
+        return this.cameraController.getViews();
+    }
+
+    // Move the camera to a view by name, animated unless { animate: false }.
+    setCameraView(name, options) {
+        this.cameraController.setView(name, options);
+    }
+
+    applyCameraPreset(name) {
+        if (!this.cameraController.getViewPose(name)) {
+            console.warn(`Unknown camera preset: ${name}`);
+            return;
+        }
+        this.cameraController.setView(name, { animate: false });
+    }
+
+    dispose() {
+        this.renderer.setAnimationLoop(null);
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        } else {
+            window.removeEventListener('resize', this.onWindowResize);
+        }
+        this.options.keyboardTarget.removeEventListener('keydown', this.onKeyDown);
+        INPUT_EVENTS.forEach(type => this.container.removeEventListener(type, this.onContainerInput));
+        if (this.motionQuery) {
+            this.motionQuery.removeEventListener('change', this.onMotionQueryChange);
+        }
+        this.keyboardHelp.remove();
+        if (this.arButton) {
+            this.arButton.remove();
+        }
+        if (this.arPlacement) {
+            this.arPlacement.dispose();
+        }
+        if (this.ui) {
+            this.ui.dispose();
+        }
+        this.selection.clear();
+        this.measure.dispose();
+        this.section.dispose();
+        this.gizmo.dispose();
+        this.inspector.dispose();
+        this.quality.dispose();
+        this.cameraController.dispose();
+        this.hotspots.dispose();
+        this.lighting.dispose();
+        this.stage.dispose();
+        this.productManager.dispose();
+        this.interactionManager.dispose();
+        this.sceneManager.dispose();
+    }
+
+    // -------------------------------------------------------------------------
+    // Internal wiring
+    // -------------------------------------------------------------------------
+    clearParts() {
+        this.history.clear();
+        this.steps.setSteps([]);
+        this.selection.clear();
+        this.measure.clear();
+        this.variants.clear();
+        this.productManager.clearParts();
+        this.onPartsChanged();
+    }
+
+    isPartMoved(name, model) {
+        const pose = this.explodedView.getAssembledPose(name);
+        if (!pose) return true;
+        return model.position.distanceToSquared(pose.position) > 1e-10 ||
+            model.quaternion.angleTo(pose.quaternion) > 1e-5 ||
+            model.scale.distanceToSquared(pose.scale) > 1e-10;
+    }
+
+    notifyStateChange() {
+        this.dispatchEvent({ type: 'statechange' });
+    }
+
+    onPartsChanged() {
+        this.explodedView.setParts(this.productManager.parts, this.manifest ? this.manifest.parts : []);
+        this.interactionManager.setDraggableObjects(this.productManager.getParts());
+        this.section.refresh();
+        this.hotspots.refresh();
+        this.fitCameraToScene();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    setupEventListeners() {
+        this.selection.addEventListener('select', (event) => {
+            this.gizmo.attach(event.object);
+            this.dispatchEvent({ type: 'select', name: event.name, object: event.object });
+            this.notifyStateChange();
+        });
+        this.orbitControls.addEventListener('end', () => this.notifyStateChange());
+        this.cameraController.addEventListener('end', () => this.notifyStateChange());
+        this.explodedView.addEventListener('change', () => this.notifyStateChange());
+        this.interactionManager.addEventListener('dragend', (event) => {
+            this.snapping.drop(event.object, this.selection.findPartName(event.object));
+            this.history.commit();
+            this.notifyStateChange();
+        });
+        this.interactionManager.addEventListener('drag', (event) => this.snapping.constrain(event.object));
+        this.history.addEventListener('change', () => {
+            this.dispatchEvent({ type: 'historychange', canUndo: this.history.canUndo, canRedo: this.history.canRedo });
+        });
+        this.steps.addEventListener('step', (event) => {
+            this.dispatchEvent({ type: 'step', index: event.index, step: event.step });
+        });
+        this.hotspots.addEventListener('open', (event) => {
+            this.dispatchEvent({ type: 'hotspot', index: event.index, hotspot: event.hotspot });
+        });
+        this.measure.addEventListener('measure', (event) => {
+            this.dispatchEvent({ type: 'measure', distance: event.distance });
+        });
+        this.quality.addEventListener('change', (event) => {
+            this.dispatchEvent({ type: 'qualitychange', mode: event.mode, level: event.level, pixelRatio: event.pixelRatio });
+        });
+
+        // While rendering on demand, moves of the camera and the parts are
+        // noticed by the quality manager. Everything else that changes the
+        // picture asks for a frame here: input in the viewer (which covers
+        // the UI), and changes made through the API.
+        const requestRender = () => this.quality.invalidate();
+        this.onContainerInput = requestRender;
+        INPUT_EVENTS.forEach(type => this.container.addEventListener(type, requestRender, { passive: true }));
+        [
+            [this, 'load'], [this, 'change'], [this.selection, 'select'], [this.variants, 'change'],
+            [this.lighting, 'change'], [this.stage, 'change'], [this.inspector, 'change'], [this.section, 'change'],
+            [this.gizmo, 'change'], [this.measure, 'measure'], [this.hotspots, 'open'], [this.hotspots, 'close'],
+            [this.explodedView, 'change'], [this.steps, 'change']
+        ].forEach(([target, type]) => target.addEventListener(type, requestRender));
+
+        this.gizmo.addEventListener('dragstart', (event) => {
+            this.history.begin([event.object], 'Transform part');
+            this.snapping.begin(event.object);
+        });
+        this.gizmo.addEventListener('dragend', (event) => {
+            if (this.gizmo.mode === 'translate') {
+                this.snapping.drop(event.object, this.selection.findPartName(event.object));
+            }
+            this.history.commit();
+            this.notifyStateChange();
+        });
+
+        this.interactionManager.addEventListener('pick', (event) => {
+            // A click on the gizmo shouldn't select what is behind it.
+            if (this.gizmo.controls.axis !== null) return;
+            if (this.measure.enabled) {
+                if (event.object) this.measure.addPoint(event.object, event.point);
+                return;
+            }
+            this.selection.select(event.object ? this.selection.findPartName(event.object) : null);
+        });
+        this.interactionManager.addEventListener('dragstart', (event) => {
+            this.selection.select(this.selection.findPartName(event.object));
+            this.history.begin([event.object], 'Move part');
+            this.snapping.begin(event.object);
+        });
+
+        // Follow the container rather than the window so the viewer can be
+        // embedded in any layout.
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.onWindowResize = () => this.resize();
+            window.addEventListener('resize', this.onWindowResize);
+        }
+
+        // ] and [ cycle through the parts, Escape clears the selection and
+        // the measurement and closes the hotspot card. W, E and R switch the
+        // gizmo between moving, rotating and scaling, Q between local and
+        // world axes. Ctrl+Z undoes a move, Ctrl+Y or Ctrl+Shift+Z redoes it
+        // (Cmd on macOS) while the viewer has focus, so text undo elsewhere
+        // on the page keeps working. Arrow keys, + and - and Tab are handled
+        // by handleViewerKey() while the viewer has focus.
+        this.onKeyDown = (event) => {
+            if (isEditable(event.composedPath()[0]) || event.altKey) return;
+            if (event.ctrlKey || event.metaKey) {
+                if (!this.isViewerFocused(event)) return;
+                const key = event.key.toLowerCase();
+                if (key === 'z' && !event.shiftKey) {
+                    event.preventDefault();
+                    this.undo();
+                } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                    event.preventDefault();
+                    this.redo();
+                }
+                return;
+            }
+            if (this.isViewerFocused(event, event.key === 'Tab') && this.handleViewerKey(event)) {
+                event.preventDefault();
+                return;
+            }
+            if (event.key === ']') {
+                this.selection.cycle(1);
+            } else if (event.key === '[') {
+                this.selection.cycle(-1);
+            } else if (event.key === 'Escape') {
+                this.selection.clear();
+                this.measure.clear();
+                this.hotspots.close();
+            } else if (GIZMO_KEYS[event.key.toLowerCase()]) {
+                this.gizmo.setMode(GIZMO_KEYS[event.key.toLowerCase()]);
+            } else if (event.key.toLowerCase() === 'q') {
+                this.gizmo.setSpace(this.gizmo.space === 'local' ? 'world' : 'local');
+            }
+        };
+        this.options.keyboardTarget.addEventListener('keydown', this.onKeyDown);
+    }
+
+    // Tab only counts on the canvas itself, so it still moves focus into the
+    // viewer from the page. The other keys also work with nothing focused.
+    isViewerFocused(event, canvasOnly = false) {
+        const origin = event.composedPath()[0];
+        if (origin === this.renderer.domElement) return true;
+        return !canvasOnly && (origin === this.options.keyboardTarget || origin === document.body);
+    }
+
+    // Keys that only apply while the viewer has focus. Returns true if the
+    // key was used.
+    handleViewerKey(event) {
+        if (event.key === 'Tab') {
+            return this.focusNextPart(event.shiftKey ? -1 : 1);
+        }
+        if (this.isARMode) return false;
+
+        this.cameraController.interrupt();
+        const arrow = ARROW_KEYS[event.key];
+        if (arrow && this.selection.getSelected()) {
+            const scale = event.shiftKey ? 10 : 1;
+            this.nudgePart(arrow[0] * scale, arrow[1] * scale);
+        } else if (arrow) {
+            const angle = ORBIT_STEP * (event.shiftKey ? 3 : 1);
+            this.interactionManager.orbitBy(arrow[0] * angle, -arrow[1] * angle);
+        } else if (event.key === '+' || event.key === '=') {
+            this.interactionManager.zoomBy(1 / ZOOM_STEP);
+        } else if (event.key === '-' || event.key === '_') {
+            this.interactionManager.zoomBy(ZOOM_STEP);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    // Tab and Shift+Tab walk through the parts. Tabbing past the last part
+    // clears the selection and lets focus move on, so the keyboard is never
+    // trapped in the viewer.
+    focusNextPart(step) {
+        const names = this.getPartNames();
+        const index = names.indexOf(this.selection.selectedName);
+        if (index === -1) {
+            if (step < 0 || names.length === 0) return false;
+            this.selection.select(names[0]);
+            return true;
+        }
+        if (index + step >= names.length) {
+            this.selection.clear();
+            return false;
+        }
+        this.selection.select(index + step < 0 ? null : names[index + step]);
+        return true;
+    }
+
+    // The canvas takes keyboard focus and describes the keys to screen readers.
+    setupAccessibility() {
+        const canvas = this.renderer.domElement;
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-roledescription', '3D viewer');
+        canvas.setAttribute('aria-label', '3D product view');
+
+        const help = document.createElement('p');
+        help.id = `product-viewer-keys-${nextViewerId++}`;
+        help.textContent = KEYBOARD_HELP;
+        help.style.position = 'absolute';
+        help.style.width = '1px';
+        help.style.height = '1px';
+        help.style.overflow = 'hidden';
+        help.style.clipPath = 'inset(50%)';
+        help.style.whiteSpace = 'nowrap';
+        this.container.appendChild(help);
+        canvas.setAttribute('aria-describedby', help.id);
+        this.keyboardHelp = help;
+    }
+
+    setupReducedMotion() {
+        let enabled = Boolean(this.options.reducedMotion);
+        if (this.options.reducedMotion === null && window.matchMedia) {
+            this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.onMotionQueryChange = () => this.setReducedMotion(this.motionQuery.matches);
+            this.motionQuery.addEventListener('change', this.onMotionQueryChange);
+            enabled = this.motionQuery.matches;
+        }
+        this.setReducedMotion(enabled);
+    }
+
+    setupAR() {
+        if (!('xr' in navigator)) return;
+
+        this.arButton = ARButton.createButton(this.renderer, {
+            requiredFeatures: ['hit-test'],
+            optionalFeatures: ['dom-overlay'],
+            domOverlay: { root: this.container }
+        });
+        this.container.appendChild(this.arButton);
+
+        this.arPlacement = new ARPlacement(this.renderer, this.scene, this.productManager.parts);
+        if (this.ui) {
+            this.ui.createPlacementControls(this.arPlacement);
+        }
+
+        this.arPlacement.addEventListener('place', () => {
+            this.interactionManager.touchEnabled = true;
+        });
+        this.arPlacement.addEventListener('reset', () => {
+            this.interactionManager.touchEnabled = false;
+        });
+
+        this.arPlacement.addEventListener('select', (event) => {
+            if (!this.measure.enabled) return;
+            const hit = this.interactionManager.intersectController(event.controller)[0];
+            if (hit) this.measure.addPoint(hit.object, hit.point);
+        });
+
+        let pinchScale = 1;
+        this.interactionManager.addEventListener('pinchstart', () => {
+            pinchScale = this.arPlacement.scale;
+        });
+        this.interactionManager.addEventListener('pinch', (event) => {
+            this.arPlacement.rotateBy(event.rotation);
+            this.arPlacement.setScale(pinchScale * event.scale);
+        });
+
+        // Remove background when entering AR.
+        this.renderer.xr.addEventListener('sessionstart', () => {
+            this.isARMode = true;
+            this.interactionManager.isARMode = true;
+            this.sceneManager.setBackgroundVisible(false);
+            this.section.setGizmoEnabled(false);
+            this.gizmo.setLock('ar', true);
+            this.stage.setARMode(true);
+            this.arPlacement.start().catch(error => {
+                console.error('Error starting AR hit testing:', error);
+            });
+        });
+        // Restore background when exiting AR.
+        this.renderer.xr.addEventListener('sessionend', () => {
+            this.isARMode = false;
+            this.interactionManager.isARMode = false;
+            this.interactionManager.touchEnabled = false;
+            this.arPlacement.end();
+            this.sceneManager.setBackgroundVisible(true);
+            this.section.setGizmoEnabled(true);
+            this.gizmo.setLock('ar', false);
+            this.stage.setARMode(false);
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Animation Loop
+    // -------------------------------------------------------------------------
+    animate() {
+        const clock = new THREE.Clock();
+        this.renderer.setAnimationLoop((timestamp, frame) => {
+            const delta = clock.getDelta();
+            // Captures drive the renderer themselves.
+            if (this.capture.busy) {
+                this.quality.invalidate();
+                return;
+            }
+
+            this.explodedView.update(delta);
+            this.steps.update(delta);
+            if (this.isARMode) {
+                this.arPlacement.update(frame);
+            } else {
+                this.cameraController.update(delta);
+                this.interactionManager.update();
+            }
+            this.measure.update();
+            this.section.update();
+            this.hotspots.update(delta);
+            this.lighting.update();
+
+            const rendered = this.quality.beginFrame();
+            if (rendered) {
+                this.stage.update();
+                this.inspector.render(() => this.sceneManager.render());
+            }
+            this.quality.endFrame(delta, rendered);
+        });
+    }
+}
+
+// Form fields and rich text, whose keys belong to the page.
+function isEditable(element) {
+    return element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement ||
+        element instanceof HTMLSelectElement || Boolean(element && element.isContentEditable);
+}
+
+// The unit world axis closest to a direction, keeping its sign.
+function closestAxis(direction) {
+    const axis = ['x', 'y', 'z'].reduce((best, name) => (Math.abs(direction[name]) > Math.abs(direction[best]) ? name : best), 'x');
+    return new THREE.Vector3().setComponent('xyz'.indexOf(axis), Math.sign(direction[axis]));
+}
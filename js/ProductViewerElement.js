@@ -0,0 +1,121 @@
+import { ProductViewer } from './ProductViewer.js';
+
+// <product-viewer src="products/kool-mandoline.json" ar autorotate background="#ffffff" quality="auto">
+//
+// Sizes itself to its own box (400px high unless styled otherwise) and keeps
+// all of its UI inside a shadow root, so any number of viewers can sit on one
+// product page. Viewer events are re-dispatched as DOM events with the
+// original payload in event.detail.
+const template = document.createElement('template');
+template.innerHTML = `
+    <style>
+        :host {
+            display: block;
+            position: relative;
+            width: 100%;
+            height: 400px;
+        }
+        .viewer {
+            position: absolute;
+            inset: 0;
+            overflow: hidden;
+        }
+    </style>
+    <div class="viewer"></div>
+`;
+
+const VIEWER_EVENTS = ['load', 'progress', 'error', 'select', 'change'];
+
+export class ProductViewerElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'ar', 'autorotate', 'background', 'quality'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.appendChild(template.content.cloneNode(true));
+        this.container = this.shadowRoot.querySelector('.viewer');
+        this.viewer = null;
+    }
+
+    connectedCallback() {
+        this.createViewer();
+    }
+
+    disconnectedCallback() {
+        this.disposeViewer();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.viewer || oldValue === newValue) return;
+
+        switch (name) {
+            case 'src':
+                this.loadSource();
+                break;
+            case 'autorotate':
+                this.viewer.setAutoRotate(newValue !== null);
+                break;
+            case 'background':
+                this.viewer.setBackground(newValue ?? '#cccccc');
+                break;
+            case 'quality':
+                this.viewer.setQuality(newValue || 'auto');
+                break;
+            case 'ar':
+                // The AR button and session setup are created with the viewer.
+                this.disposeViewer();
+                this.createViewer();
+                break;
+        }
+    }
+
+    get src() {
+        return this.getAttribute('src');
+    }
+
+    set src(value) {
+        this.setAttribute('src', value);
+    }
+
+    createViewer() {
+        if (this.viewer) return;
+
+        this.viewer = new ProductViewer(this.container, {
+            ar: this.hasAttribute('ar'),
+            autoRotate: this.hasAttribute('autorotate'),
+            background: this.getAttribute('background'),
+            quality: this.getAttribute('quality') || 'auto',
+            // Keyboard shortcuts only apply to the viewer that has focus. The
+            // canvas inside takes the focus, and its key events reach the element.
+            keyboardTarget: this
+        });
+        VIEWER_EVENTS.forEach(type => {
+            this.viewer.addEventListener(type, (event) => {
+                const detail = { ...event };
+                delete detail.type;
+                delete detail.target;
+                this.dispatchEvent(new CustomEvent(type, { detail }));
+            });
+        });
+        this.loadSource();
+    }
+
+    disposeViewer() {
+        if (!this.viewer) return;
+        this.viewer.dispose();
+        this.viewer = null;
+    }
+
+    loadSource() {
+        if (!this.src) return;
+        this.viewer.load(this.src).catch(() => {
+            // Reported through the error event and the loading overlay.
+        });
+    }
+}
+
+if (!customElements.get('product-viewer')) {
+    customElements.define('product-viewer', ProductViewerElement);
+}
@@ -0,0 +1,215 @@
+import * as THREE from 'three';
+import { prefersSmallAssets } from './LightingManager.js';
+
+// Settings per quality level. The pixel ratio is capped by the device's, and
+// foveation and the framebuffer scale apply in AR, where the pixel ratio
+// doesn't.
+export const QUALITY_PRESETS = {
+    low: { maxPixelRatio: 1, shadowResolution: 256, environment: 'small', foveation: 1, xrScale: 0.75 },
+    medium: { maxPixelRatio: 1.5, shadowResolution: 512, environment: 'small', foveation: 0.5, xrScale: 1 },
+    high: { maxPixelRatio: 2, shadowResolution: 1024, environment: 'full', foveation: 0, xrScale: 1 }
+};
+const LEVELS = ['low', 'medium', 'high'];
+
+// Frame times (ms) that count as too slow and as fast enough, and how long
+// either has to last before the quality changes.
+const SLOW_FRAME = 1000 / 45;
+const FAST_FRAME = 1000 / 58;
+const SLOW_PERIOD = 1;
+const FAST_PERIOD = 5;
+// Steps the pixel ratio is scaled down in before a level is dropped.
+const SCALES = [1, 0.875, 0.75];
+const STATS_INTERVAL = 500;
+// Longer gaps are pauses (a background tab, a capture), not slow frames.
+const MAX_FRAME = 0.25;
+
+// Keeps the frame rate up. In 'auto' mode the frame time is measured between
+// frames that are drawn back to back; when frames are slow the pixel ratio
+// comes down in steps, then the level (shadow and environment resolution),
+// and both go back up once frames are fast again. Auto never goes above the
+// level it started at, which is 'medium' on phones and tablets, so a large
+// HDR is never fetched mid-session. 'low', 'medium' and 'high' fix the level.
+//
+// Frames are only drawn when something changed (render on demand): when the
+// camera or a part moved, on input in the viewer, or after invalidate().
+export class QualityManager extends THREE.EventDispatcher {
+    constructor(sceneManager, lighting, stage, models, options = {}) {
+        super();
+        this.renderer = sceneManager.renderer;
+        this.camera = sceneManager.camera;
+        this.lighting = lighting;
+        this.stage = stage;
+        this.models = models;
+        this.renderOnDemand = options.renderOnDemand ?? true;
+
+        this.maxLevel = prefersSmallAssets() ? 'medium' : 'high';
+        this.mode = 'auto';
+        this.level = this.maxLevel;
+        this.scaleIndex = 0;
+
+        this.frameTime = 0;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.lastRendered = false;
+        this.needsRender = true;
+        this.signature = [];
+
+        this.stats = { fps: 0, frameTime: 0, calls: 0, triangles: 0 };
+        this.statsFrames = 0;
+        this.statsTime = performance.now();
+
+        // Counts are collected over all the passes of a frame.
+        this.renderer.info.autoReset = false;
+    }
+
+    get pixelRatio() {
+        return Math.min(window.devicePixelRatio, QUALITY_PRESETS[this.level].maxPixelRatio) * SCALES[this.scaleIndex];
+    }
+
+    // 'auto', 'low', 'medium' or 'high'.
+    setMode(mode) {
+        if (mode !== 'auto' && !LEVELS.includes(mode)) {
+            throw new Error(`Unknown quality mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.setLevel(mode === 'auto' ? this.maxLevel : mode, 0);
+    }
+
+    setLevel(level, scaleIndex) {
+        const levelChanged = level !== this.level;
+        this.level = level;
+        this.scaleIndex = scaleIndex;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.apply(levelChanged);
+    }
+
+    apply(levelChanged = true) {
+        const preset = QUALITY_PRESETS[this.level];
+        const xr = this.renderer.xr;
+        if (xr.isPresenting) {
+            xr.setFoveation(preset.foveation);
+        } else {
+            this.renderer.setPixelRatio(this.pixelRatio);
+            xr.setFramebufferScaleFactor(preset.xrScale);
+        }
+        if (levelChanged) {
+            this.stage.setShadowResolution(preset.shadowResolution);
+            this.lighting.setAssetSize(preset.environment).catch(error => {
+                console.warn('Could not change the environment size:', error);
+            });
+        }
+        this.invalidate();
+        this.dispatchEvent({ type: 'change', mode: this.mode, level: this.level, pixelRatio: this.pixelRatio });
+    }
+
+    // Draw the next frame even if nothing seems to have changed.
+    invalidate() {
+        this.needsRender = true;
+    }
+
+    // Called at the start of every animation frame. Returns whether to draw it.
+    beginFrame() {
+        const moved = this.updateSignature();
+        const render = !this.renderOnDemand || this.renderer.xr.isPresenting || this.needsRender || moved;
+        this.needsRender = false;
+        if (render) {
+            this.renderer.info.reset();
+        }
+        return render;
+    }
+
+    // Called at the end of every animation frame with its length in seconds.
+    endFrame(delta, rendered) {
+        if (rendered && this.lastRendered && delta < MAX_FRAME) {
+            const ms = delta * 1000;
+            this.frameTime = this.frameTime ? this.frameTime * 0.9 + ms * 0.1 : ms;
+            if (this.mode === 'auto') {
+                this.adapt(delta);
+            }
+        }
+        this.lastRendered = rendered;
+
+        if (rendered) {
+            this.statsFrames++;
+            this.stats.calls = this.renderer.info.render.calls;
+            this.stats.triangles = this.renderer.info.render.triangles;
+        }
+        const now = performance.now();
+        if (now - this.statsTime >= STATS_INTERVAL) {
+            this.stats.fps = Math.round(this.statsFrames * 1000 / (now - this.statsTime));
+            this.stats.frameTime = this.frameTime;
+            this.statsFrames = 0;
+            this.statsTime = now;
+            this.dispatchEvent({ type: 'stats', stats: this.getStats() });
+        }
+    }
+
+    adapt(delta) {
+        if (this.frameTime > SLOW_FRAME) {
+            this.fastTime = 0;
+            this.slowTime += delta;
+            if (this.slowTime >= SLOW_PERIOD) this.lower();
+        } else if (this.frameTime < FAST_FRAME) {
+            this.slowTime = 0;
+            this.fastTime += delta;
+            if (this.fastTime >= FAST_PERIOD) this.raise();
+        }
+    }
+
+    lower() {
+        const index = LEVELS.indexOf(this.level);
+        if (this.scaleIndex < SCALES.length - 1) {
+            this.setLevel(this.level, this.scaleIndex + 1);
+        } else if (index > 0) {
+            this.setLevel(LEVELS[index - 1], 0);
+        } else {
+            this.slowTime = 0;
+        }
+    }
+
+    raise() {
+        const index = LEVELS.indexOf(this.level);
+        if (this.scaleIndex > 0) {
+            this.setLevel(this.level, this.scaleIndex - 1);
+        } else if (index < LEVELS.indexOf(this.maxLevel)) {
+            // Into the next level at its lowest scale, to see whether it holds.
+            this.setLevel(LEVELS[index + 1], SCALES.length - 1);
+        } else {
+            this.fastTime = 0;
+        }
+    }
+
+    // Whether the camera or a part moved since the last call. Local
+    // transforms are compared, since world matrices are only updated when a
+    // frame is drawn.
+    updateSignature() {
+        const values = [];
+        const push = (object) => {
+            values.push(object.visible ? 1 : 0);
+            object.position.toArray(values, values.length);
+            object.quaternion.toArray(values, values.length);
+            object.scale.toArray(values, values.length);
+        };
+        push(this.camera);
+        values.push(this.camera.fov, this.camera.aspect, this.camera.near);
+        this.models.forEach(push);
+
+        const previous = this.signature;
+        this.signature = values;
+        return values.length !== previous.length || values.some((value, index) => value !== previous[index]);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            mode: this.mode,
+            level: this.level,
+            pixelRatio: this.pixelRatio
+        };
+    }
+
+    dispose() {
+        this.renderer.info.autoReset = true;
+    }
+}
@@ -1,8 +1,11 @@
 import * as THREE from 'three';
 
+// Environment maps and the light intensities are set by LightingManager, the
+// pixel ratio by QualityManager. Antialiasing can only be chosen up front.
 export class SceneManager {
-    constructor(container) {
+    constructor(container, options = {}) {
         this.container = container;
+        this.antialias = options.antialias ?? true;
         this.setupScene();
         this.setupCamera();
         this.setupRenderer();
@@ -11,50 +14,80 @@ export class SceneManager {
 
     setupScene() {
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0xffffff);
+        this.background = new THREE.Color(0xcccccc);
+        this.backgroundHidden = false;
+        this.scene.background = this.background;
     }
 
     setupCamera() {
-        this.camera = new THREE.PerspectiveCamera(
-            45,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            1000
-        );
-        this.camera.position.set(0, 1.6, 3);
+        const { width, height } = this.getSize();
+        this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
+        this.camera.position.set(0, 0, 3);
     }
 
     setupRenderer() {
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        const { width, height } = this.getSize();
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: this.antialias,
+            alpha: true,
+            // Section caps are drawn through the stencil buffer.
+            stencil: true
+        });
+        this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(window.devicePixelRatio);
         this.renderer.xr.enabled = true;
-        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 1;
+        // Per-material clipping planes, used by the section view.
+        this.renderer.localClippingEnabled = true;
         this.container.appendChild(this.renderer.domElement);
     }
 
     setupLights() {
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-        this.scene.add(ambientLight);
+        this.ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+        this.scene.add(this.ambientLight);
 
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-        directionalLight.position.set(5, 5, 5);
-        this.scene.add(directionalLight);
+        this.keyLight = new THREE.DirectionalLight(0xffffff, 1);
+        this.keyLight.position.set(5, 5, 5);
+        this.scene.add(this.keyLight);
     }
 
-    setEnvironmentMap(envMap) {
-        this.scene.environment = envMap;
-        this.scene.background = envMap;
+    // Accepts any CSS colour, a Color or Texture, or 'transparent' to show the
+    // page behind the canvas.
+    setBackground(value) {
+        if (value === 'transparent' || value === 'none' || value === null) {
+            this.background = null;
+        } else {
+            this.background = value.isColor || value.isTexture ? value : new THREE.Color(value);
+        }
+        this.scene.background = this.backgroundHidden ? null : this.background;
     }
 
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
+    // The passthrough camera image replaces the background in AR.
+    setBackgroundVisible(visible) {
+        this.backgroundHidden = !visible;
+        this.scene.background = visible ? this.background : null;
+    }
+
+    getSize() {
+        return {
+            width: this.container.clientWidth || window.innerWidth,
+            height: this.container.clientHeight || window.innerHeight
+        };
+    }
+
+    onResize() {
+        const { width, height } = this.getSize();
+        this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
     }
 
     render() {
         this.renderer.render(this.scene, this.camera);
     }
+
+    dispose() {
+        this.renderer.setAnimationLoop(null);
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+    }
 }
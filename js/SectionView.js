@@ -0,0 +1,358 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+// Default normals point away from the camera's default position, so the kept
+// half faces the viewer and the cut is visible straight away.
+const AXES = {
+    x: new THREE.Vector3(-1, 0, 0),
+    y: new THREE.Vector3(0, -1, 0),
+    z: new THREE.Vector3(0, 0, -1)
+};
+
+const _normal = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 0, 1);
+const _box = new THREE.Box3();
+const _sphere = new THREE.Sphere();
+
+// Section planes that cut the parts open. Each plane is a handle object in the
+// scene (its local +Z is the plane normal, which points at the kept side) that
+// can be moved and turned with a TransformControls gizmo.
+//
+// Clipping is set on whatever material a mesh renders with, just for that
+// draw, so it survives variant switches and the selection highlight. The cut
+// faces are capped with the stencil technique from the three.js
+// webgl_clipping_stencil example.
+export class SectionView extends THREE.EventDispatcher {
+    constructor(sceneManager, interactionManager, models) {
+        super();
+        this.renderer = sceneManager.renderer;
+        this.scene = sceneManager.scene;
+        this.interactionManager = interactionManager;
+        this.models = models;
+
+        this.sections = [];
+        // Shared by every clipped material and kept in sync with the handles.
+        this.planes = [];
+        // Part names to clip, or null for all of them.
+        this.targets = null;
+        this.clippedMeshes = new Set();
+        this.capsVisible = true;
+        this.capColor = new THREE.Color(0xd00024);
+        this.selected = -1;
+
+        this.center = new THREE.Vector3();
+        this.radius = 1;
+
+        this.group = new THREE.Group();
+        this.group.name = 'sections';
+        this.scene.add(this.group);
+
+        this.setupGizmo(sceneManager.camera);
+    }
+
+    setupGizmo(camera) {
+        this.gizmo = new TransformControls(camera, this.interactionManager.domElement);
+        this.gizmo.setSpace('local');
+        this.setGizmoMode('translate');
+        // The gizmo owns the pointer while hovered or dragged.
+        this.gizmo.addEventListener('axis-changed', (event) => {
+            this.interactionManager.setDragLock('section', event.value !== null);
+        });
+        this.gizmo.addEventListener('dragging-changed', (event) => {
+            this.interactionManager.orbitControls.enabled = !event.value;
+        });
+        this.gizmo.addEventListener('objectChange', () => {
+            this.dispatchEvent({ type: 'change' });
+        });
+        this.scene.add(this.gizmo);
+    }
+
+    // Adds a plane through the middle of the clipped parts. Axis is 'x', 'y',
+    // 'z' or a normal vector. Returns the plane's index.
+    addPlane(axis = 'x') {
+        const normal = axis instanceof THREE.Vector3 ? axis.clone().normalize() : AXES[axis];
+        if (!normal) {
+            throw new Error(`Unknown section axis: ${axis}`);
+        }
+        this.updateBounds();
+
+        const handle = new THREE.Object3D();
+        handle.position.copy(this.center);
+        handle.quaternion.setFromUnitVectors(_up, normal);
+
+        const outline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.PlaneGeometry(1, 1)),
+            new THREE.LineBasicMaterial({ color: 0xd00024 })
+        );
+        const fill = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({ color: 0xd00024, transparent: true, opacity: 0.08, side: THREE.DoubleSide, depthWrite: false })
+        );
+        handle.add(outline, fill);
+
+        const plane = new THREE.Plane();
+        const cap = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshStandardMaterial({
+                color: this.capColor,
+                metalness: 0.1,
+                roughness: 0.75,
+                side: THREE.DoubleSide,
+                stencilWrite: true,
+                stencilRef: 0,
+                stencilFunc: THREE.NotEqualStencilFunc,
+                stencilFail: THREE.ReplaceStencilOp,
+                stencilZFail: THREE.ReplaceStencilOp,
+                stencilZPass: THREE.ReplaceStencilOp
+            })
+        );
+        // Each cap leaves the stencil buffer clean for the next plane.
+        cap.onAfterRender = (renderer) => renderer.clearStencil();
+        cap.raycast = () => {};
+
+        const section = { plane, handle, outline, fill, cap, stencils: new THREE.Group(), stencilMaterials: null };
+        this.sections.push(section);
+        this.group.add(handle, cap, section.stencils);
+        this.rebuild();
+        this.select(this.sections.length - 1);
+        return this.sections.length - 1;
+    }
+
+    removePlane(index) {
+        const section = this.sections[index];
+        if (!section) return;
+
+        this.sections.splice(index, 1);
+        this.group.remove(section.handle, section.cap, section.stencils);
+        section.handle.traverse(disposeNode);
+        disposeNode(section.cap);
+        this.disposeStencils(section);
+        this.rebuild();
+        this.select(Math.min(this.selected, this.sections.length - 1));
+    }
+
+    clear() {
+        while (this.sections.length > 0) {
+            this.removePlane(this.sections.length - 1);
+        }
+    }
+
+    // Attach the gizmo to a plane, or -1 for none.
+    select(index) {
+        this.selected = this.sections[index] ? index : -1;
+        if (this.selected === -1) {
+            this.gizmo.detach();
+            this.interactionManager.setDragLock('section', false);
+        } else {
+            this.gizmo.attach(this.sections[index].handle);
+        }
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    // 'translate' moves the plane along its normal, 'rotate' tilts it.
+    setGizmoMode(mode) {
+        this.gizmo.setMode(mode);
+        this.gizmo.showX = mode === 'rotate';
+        this.gizmo.showY = mode === 'rotate';
+        this.gizmo.showZ = mode === 'translate';
+    }
+
+    setGizmoEnabled(enabled) {
+        this.gizmo.enabled = enabled;
+        this.gizmo.visible = enabled;
+    }
+
+    // Signed distance of a plane from the middle of the clipped parts.
+    getOffset(index) {
+        const { handle } = this.sections[index];
+        _normal.copy(_up).applyQuaternion(handle.quaternion);
+        return _normal.dot(handle.position.clone().sub(this.center));
+    }
+
+    setOffset(index, offset) {
+        const { handle } = this.sections[index];
+        _normal.copy(_up).applyQuaternion(handle.quaternion);
+        handle.position.copy(this.center).addScaledVector(_normal, offset);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    // Keep the other half.
+    flip(index) {
+        this.sections[index].handle.rotateX(Math.PI);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    // Only cut the named parts; null cuts everything.
+    setTargets(names) {
+        this.targets = names;
+        this.rebuild();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    setCapsVisible(visible) {
+        this.capsVisible = visible;
+        this.rebuild();
+    }
+
+    setCapColor(color) {
+        this.capColor.set(color);
+        this.sections.forEach(section => section.cap.material.color.copy(this.capColor));
+    }
+
+    // Call when parts were added or removed.
+    refresh() {
+        this.updateBounds();
+        this.rebuild();
+    }
+
+    getTargetModels() {
+        const names = this.targets || Array.from(this.models.keys());
+        return names.map(name => this.models.get(name)).filter(Boolean);
+    }
+
+    updateBounds() {
+        _box.makeEmpty();
+        this.getTargetModels().forEach(model => _box.expandByObject(model));
+        if (_box.isEmpty()) return;
+        _box.getBoundingSphere(_sphere);
+        this.center.copy(_sphere.center);
+        this.radius = Math.max(_sphere.radius, 1e-3);
+    }
+
+    // Re-create the clipping hooks and stencil meshes after planes, targets or
+    // parts changed.
+    rebuild() {
+        this.planes = this.sections.map(section => section.plane);
+
+        const meshes = new Set();
+        if (this.sections.length > 0) {
+            this.getTargetModels().forEach(model => model.traverse(node => {
+                if (node.isMesh) meshes.add(node);
+            }));
+        }
+        this.clippedMeshes.forEach(mesh => {
+            if (!meshes.has(mesh)) removeClipping(mesh);
+        });
+        meshes.forEach(mesh => {
+            if (!this.clippedMeshes.has(mesh)) addClipping(mesh, this);
+        });
+        this.clippedMeshes = meshes;
+
+        this.sections.forEach((section, index) => {
+            this.disposeStencils(section);
+            section.cap.material.clippingPlanes = this.planes.filter(plane => plane !== section.plane);
+            section.cap.visible = this.capsVisible;
+            section.cap.renderOrder = index + 1.1;
+            if (!this.capsVisible) return;
+
+            section.stencilMaterials = createStencilMaterials(section.plane);
+            meshes.forEach(mesh => {
+                section.stencilMaterials.forEach(material => {
+                    const stencil = new THREE.Mesh(mesh.geometry, material);
+                    stencil.matrixAutoUpdate = false;
+                    stencil.matrixWorldAutoUpdate = false;
+                    stencil.renderOrder = index + 1;
+                    stencil.raycast = () => {};
+                    stencil.userData.source = mesh;
+                    section.stencils.add(stencil);
+                });
+            });
+        });
+    }
+
+    disposeStencils(section) {
+        section.stencils.clear();
+        if (section.stencilMaterials) {
+            section.stencilMaterials.forEach(material => material.dispose());
+            section.stencilMaterials = null;
+        }
+    }
+
+    // Called every frame to move the planes with their handles and the
+    // stencil meshes with their parts.
+    update() {
+        if (this.sections.length === 0) return;
+
+        this.models.forEach(model => model.updateMatrixWorld());
+        const size = this.radius * 2.2;
+        this.sections.forEach(section => {
+            const { handle, plane, cap } = section;
+            _normal.copy(_up).applyQuaternion(handle.quaternion);
+            plane.setFromNormalAndCoplanarPoint(_normal, handle.position);
+
+            section.outline.scale.setScalar(size);
+            section.fill.scale.setScalar(size);
+            // The cap only shows where the stencil marks a cut, so it can be big.
+            cap.position.copy(handle.position);
+            cap.quaternion.copy(handle.quaternion);
+            cap.scale.setScalar(size * 4);
+
+            section.stencils.children.forEach(stencil => {
+                const source = stencil.userData.source;
+                stencil.visible = isVisible(source);
+                stencil.matrixWorld.copy(source.matrixWorld);
+            });
+        });
+    }
+
+    dispose() {
+        this.clear();
+        this.gizmo.detach();
+        this.gizmo.dispose();
+        this.scene.remove(this.gizmo, this.group);
+    }
+}
+
+// Back faces count up and front faces count down, leaving a non-zero stencil
+// wherever the plane cuts into a closed mesh.
+function createStencilMaterials(plane) {
+    const base = {
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        clippingPlanes: [plane]
+    };
+    const back = new THREE.MeshBasicMaterial({
+        ...base,
+        side: THREE.BackSide,
+        stencilFail: THREE.IncrementWrapStencilOp,
+        stencilZFail: THREE.IncrementWrapStencilOp,
+        stencilZPass: THREE.IncrementWrapStencilOp
+    });
+    const front = new THREE.MeshBasicMaterial({
+        ...base,
+        side: THREE.FrontSide,
+        stencilFail: THREE.DecrementWrapStencilOp,
+        stencilZFail: THREE.DecrementWrapStencilOp,
+        stencilZPass: THREE.DecrementWrapStencilOp
+    });
+    return [back, front];
+}
+
+function addClipping(mesh, sectionView) {
+    mesh.onBeforeRender = (renderer, scene, camera, geometry, material) => {
+        material.clippingPlanes = sectionView.planes;
+    };
+    mesh.onAfterRender = (renderer, scene, camera, geometry, material) => {
+        material.clippingPlanes = null;
+    };
+}
+
+function removeClipping(mesh) {
+    delete mesh.onBeforeRender;
+    delete mesh.onAfterRender;
+}
+
+function isVisible(object) {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+}
+
+function disposeNode(node) {
+    if (node.geometry) node.geometry.dispose();
+    if (node.material) node.material.dispose();
+}
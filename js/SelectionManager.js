@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+
+// Tracks the selected part and tints it so it stands out from the rest of the
+// assembly. Parts are looked up by their key in the shared parts map.
+export class SelectionManager extends THREE.EventDispatcher {
+    constructor(models, options = {}) {
+        super();
+        this.models = models;
+        this.highlightColor = new THREE.Color(options.highlightColor ?? 0xd00024);
+        this.highlightIntensity = options.highlightIntensity ?? 0.35;
+        this.selectedName = null;
+    }
+
+    // Walk up from a raycast hit to the part root it belongs to.
+    findPartName(object) {
+        while (object) {
+            for (const [name, model] of this.models) {
+                if (model === object) return name;
+            }
+            object = object.parent;
+        }
+        return null;
+    }
+
+    select(name) {
+        if (name !== null && !this.models.has(name)) return;
+        if (name === this.selectedName) return;
+
+        const previous = this.getSelected();
+        if (previous) {
+            this.setHighlight(previous, false);
+        }
+
+        this.selectedName = name;
+        const object = this.getSelected();
+        if (object) {
+            this.setHighlight(object, true);
+        }
+        this.dispatchEvent({ type: 'select', name, object });
+    }
+
+    clear() {
+        this.select(null);
+    }
+
+    cycle(step = 1) {
+        const names = Array.from(this.models.keys());
+        if (names.length === 0) return;
+        const index = names.indexOf(this.selectedName);
+        const start = index === -1 ? (step > 0 ? -1 : 0) : index;
+        this.select(names[(start + step + names.length) % names.length]);
+    }
+
+    getSelected() {
+        return this.selectedName === null ? null : this.models.get(this.selectedName) || null;
+    }
+
+    isHighlighted(object) {
+        let highlighted = false;
+        object.traverse(node => {
+            if (node.userData.originalMaterial) highlighted = true;
+        });
+        return highlighted;
+    }
+
+    // Materials are often shared between parts, so the tint is applied to
+    // per-mesh clones and the originals are put back when deselected.
+    setHighlight(object, enabled) {
+        object.traverse(node => {
+            if (!node.isMesh) return;
+            if (enabled && !node.userData.originalMaterial) {
+                node.userData.originalMaterial = node.material;
+                const tint = (material) => {
+                    const clone = material.clone();
+                    if (clone.emissive) {
+                        clone.emissive.copy(this.highlightColor);
+                        clone.emissiveIntensity = this.highlightIntensity;
+                    } else if (clone.color) {
+                        clone.color.lerp(this.highlightColor, this.highlightIntensity);
+                    }
+                    return clone;
+                };
+                node.material = Array.isArray(node.material) ? node.material.map(tint) : tint(node.material);
+            } else if (!enabled && node.userData.originalMaterial) {
+                const clones = Array.isArray(node.material) ? node.material : [node.material];
+                clones.forEach(material => material.dispose());
+                node.material = node.userData.originalMaterial;
+                delete node.userData.originalMaterial;
+            }
+        });
+    }
+}
+
+export function getPartInfo(object) {
+    const materials = new Set();
+    let triangles = 0;
+    let meshes = 0;
+
+    object.traverse(node => {
+        if (!node.isMesh) return;
+        meshes++;
+        const nodeMaterials = node.userData.originalMaterial || node.material;
+        (Array.isArray(nodeMaterials) ? nodeMaterials : [nodeMaterials]).forEach(material => {
+            materials.add(material.name || material.type);
+        });
+        const geometry = node.geometry;
+        const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+        triangles += Math.floor(count / 3);
+    });
+
+    const size = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+    return {
+        materials: Array.from(materials),
+        dimensions: size,
+        triangles,
+        meshes
+    };
+}
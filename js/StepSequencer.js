@@ -0,0 +1,212 @@
+import * as THREE from 'three';
+
+const _quaternion = new THREE.Quaternion();
+
+// Plays the guided assembly steps of a product. Every step describes the whole
+// scene relative to the assembled product, so steps can be visited in any
+// order; moving to a step animates the parts and the camera there.
+//
+//   "steps": [
+//       { "caption": "Lift off the hand guard.", "camera": "top",
+//         "hide": ["blade"], "highlight": ["handguard"],
+//         "parts": { "handguard": { "position": [0, 0.08, 0], "rotation": [0, 0, 20] } },
+//         "duration": 1, "hold": 3 }
+//   ]
+//
+// "position" is an offset from the assembled position and "rotation" (degrees)
+// is applied on top of the assembled rotation; unlisted parts are assembled.
+// "show" lists the only parts to show, "hide" the parts to hide. "camera" is a
+// camera preset name or { "position", "target" }, and is left alone if missing.
+// "hold" is how long play() stays on a step before moving on.
+export class StepSequencer extends THREE.EventDispatcher {
+    constructor(models, explodedView, selection, camera, orbitControls, options = {}) {
+        super();
+        this.models = models;
+        this.explodedView = explodedView;
+        this.selection = selection;
+        this.camera = camera;
+        this.orbitControls = orbitControls;
+        this.getCameraPreset = options.getCameraPreset || (() => null);
+
+        this.steps = [];
+        this.index = -1;
+        this.playing = false;
+        this.animation = null;
+        this.holdTime = 0;
+        this.highlighted = new Set();
+    }
+
+    setSteps(steps = []) {
+        this.stop();
+        this.steps = steps;
+    }
+
+    get active() {
+        return this.index !== -1;
+    }
+
+    // Start from the first step with everything assembled.
+    start() {
+        if (this.steps.length === 0) return;
+        this.explodedView.reset();
+        this.selection.clear();
+        this.goTo(0);
+    }
+
+    // Leave the guide and put the product back together.
+    stop() {
+        if (!this.active) return;
+        this.playing = false;
+        this.animation = null;
+        this.setHighlighted([]);
+        this.models.forEach(model => {
+            model.visible = true;
+        });
+        this.explodedView.reset();
+        this.index = -1;
+        this.dispatchChange();
+    }
+
+    next() {
+        if (this.index < this.steps.length - 1) this.goTo(this.index + 1);
+    }
+
+    previous() {
+        if (this.index > 0) this.goTo(this.index - 1);
+    }
+
+    play() {
+        if (this.steps.length === 0) return;
+        if (!this.active || this.index === this.steps.length - 1) {
+            this.start();
+        }
+        this.playing = true;
+        this.holdTime = 0;
+        this.dispatchChange();
+    }
+
+    pause() {
+        this.playing = false;
+        this.dispatchChange();
+    }
+
+    goTo(index) {
+        const step = this.steps[index];
+        if (!step) return;
+        this.index = index;
+        this.holdTime = 0;
+
+        const parts = [];
+        this.models.forEach((model, name) => {
+            const pose = this.explodedView.getAssembledPose(name);
+            if (!pose) return;
+            const transform = step.parts[name];
+            const position = pose.position.clone();
+            const quaternion = pose.quaternion.clone();
+            if (transform) {
+                position.add(transform.position);
+                quaternion.multiply(_quaternion.setFromEuler(transform.rotation));
+            }
+            parts.push({
+                model,
+                from: { position: model.position.clone(), quaternion: model.quaternion.clone() },
+                to: { position, quaternion },
+                visible: this.isShown(step, name)
+            });
+        });
+
+        // Parts appear as the step starts and disappear once it is done.
+        parts.forEach(part => {
+            if (part.visible) part.model.visible = true;
+        });
+        this.setHighlighted(step.highlight);
+
+        const camera = this.resolveCamera(step.camera);
+        this.animation = {
+            parts,
+            camera: camera ? {
+                from: { position: this.camera.position.clone(), target: this.orbitControls.target.clone() },
+                to: camera
+            } : null,
+            duration: step.duration,
+            elapsed: 0
+        };
+        this.dispatchEvent({ type: 'step', index, step });
+        this.dispatchChange();
+    }
+
+    isShown(step, name) {
+        if (step.show && !step.show.includes(name)) return false;
+        return !step.hide.includes(name);
+    }
+
+    resolveCamera(camera) {
+        if (!camera) return null;
+        const preset = typeof camera === 'string' ? this.getCameraPreset(camera) : camera;
+        if (!preset) {
+            console.warn(`Unknown camera preset in assembly step: ${camera}`);
+            return null;
+        }
+        return { position: preset.position.clone(), target: preset.target.clone() };
+    }
+
+    setHighlighted(names) {
+        this.highlighted.forEach(name => {
+            const model = this.models.get(name);
+            if (model && !names.includes(name)) this.selection.setHighlight(model, false);
+        });
+        this.highlighted = new Set(names.filter(name => this.models.has(name)));
+        this.highlighted.forEach(name => this.selection.setHighlight(this.models.get(name), true));
+    }
+
+    // Overall progress from 0 to 1, counting the running transition.
+    getProgress() {
+        if (!this.active) return 0;
+        const animation = this.animation;
+        const t = animation && animation.duration > 0 ? Math.min(animation.elapsed / animation.duration, 1) : 1;
+        return (this.index + t) / this.steps.length;
+    }
+
+    dispatchChange() {
+        this.dispatchEvent({ type: 'change', index: this.index, playing: this.playing });
+    }
+
+    update(delta) {
+        if (this.animation) {
+            const animation = this.animation;
+            animation.elapsed += delta;
+            const t = animation.duration > 0 ? Math.min(animation.elapsed / animation.duration, 1) : 1;
+            const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+            animation.parts.forEach(({ model, from, to }) => {
+                model.position.lerpVectors(from.position, to.position, eased);
+                model.quaternion.slerpQuaternions(from.quaternion, to.quaternion, eased);
+            });
+            if (animation.camera) {
+                const { from, to } = animation.camera;
+                this.camera.position.lerpVectors(from.position, to.position, eased);
+                this.orbitControls.target.lerpVectors(from.target, to.target, eased);
+                this.camera.lookAt(this.orbitControls.target);
+            }
+
+            if (t === 1) {
+                animation.parts.forEach(part => {
+                    part.model.visible = part.visible;
+                });
+                this.animation = null;
+            }
+            return;
+        }
+
+        if (this.playing && this.active) {
+            this.holdTime += delta;
+            if (this.holdTime >= this.steps[this.index].hold) {
+                if (this.index === this.steps.length - 1) {
+                    this.pause();
+                } else {
+                    this.next();
+                }
+            }
+        }
+    }
+}
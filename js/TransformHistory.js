@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+
+const LIMIT = 100;
+
+const _matrix = new THREE.Matrix4();
+const _frame = new THREE.Matrix4();
+
+// Undo and redo for changes made to part transforms by hand. A change is
+// recorded between begin() and commit(), which compares the parts before and
+// after and keeps the ones that moved.
+//
+// Transforms are stored in product space (see MeasureTool for `getFrame`), so
+// a move made in AR can be undone after the placement was turned or scaled.
+// Positions are applied as offsets rather than restored, which keeps the
+// exploded view's offsets intact when a move is undone in a different
+// explode state.
+export class TransformHistory extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+        this.getFrame = options.getFrame || (target => target.identity());
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    begin(objects, label = 'Move') {
+        this.pending = {
+            label,
+            before: objects.map(object => ({ object, pose: this.getPose(object) }))
+        };
+    }
+
+    commit() {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return null;
+
+        const changes = pending.before.map(({ object, pose }) => ({ object, before: pose, after: this.getPose(object) }))
+            .filter(({ before, after }) => !posesEqual(before, after));
+        if (changes.length === 0) return null;
+
+        const entry = { label: pending.label, changes };
+        this.undoStack.push(entry);
+        if (this.undoStack.length > LIMIT) this.undoStack.shift();
+        this.redoStack.length = 0;
+        this.dispatchEvent({ type: 'change' });
+        return entry;
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        entry.changes.forEach(({ object, before, after }) => this.applyPose(object, after, before));
+        this.redoStack.push(entry);
+        this.dispatchEvent({ type: 'change' });
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        entry.changes.forEach(({ object, before, after }) => this.applyPose(object, before, after));
+        this.undoStack.push(entry);
+        this.dispatchEvent({ type: 'change' });
+        return entry;
+    }
+
+    clear() {
+        this.pending = null;
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    getPose(object) {
+        object.updateMatrix();
+        _matrix.copy(this.getFrame(_frame)).invert().multiply(object.matrix);
+        const pose = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3() };
+        _matrix.decompose(pose.position, pose.quaternion, pose.scale);
+        return pose;
+    }
+
+    // Move the object by the difference between two poses.
+    applyPose(object, from, to) {
+        const pose = this.getPose(object);
+        pose.position.add(to.position).sub(from.position);
+        _matrix.compose(pose.position, to.quaternion, to.scale).premultiply(this.getFrame(_frame));
+        _matrix.decompose(object.position, object.quaternion, object.scale);
+        object.updateMatrixWorld(true);
+    }
+}
+
+function posesEqual(a, b) {
+    return a.position.distanceToSquared(b.position) < 1e-12 &&
+        a.quaternion.angleTo(b.quaternion) < 1e-6 &&
+        a.scale.distanceToSquared(b.scale) < 1e-12;
+}
@@ -0,0 +1,1492 @@
+import { getPartInfo } from './SelectionManager.js';
+import { downloadBlob } from './CaptureManager.js';
+import { getInputFiles, getDroppedFiles } from './FileUpload.js';
+import { supportsQuickLook } from './ExportManager.js';
+
+// Builds the viewer's on-screen controls inside its container, so several
+// viewers can live on one page. Everything talks to the viewer through its
+// public API and events.
+export class UIManager {
+    constructor(viewer, root) {
+        this.viewer = viewer;
+        this.root = root;
+        this.elements = [];
+
+        this.createLiveRegion();
+        this.createLoadingOverlay();
+        this.createUploadButton();
+        this.createExplodeControls();
+        this.createInfoPanel();
+        this.createVariantPanel();
+        this.createToolbar();
+        this.createCapturePanel();
+        this.createExportPanel();
+        this.createInspectorPanel();
+        this.createLightingPanel();
+        this.createTransformPanel();
+        this.createViewPanel();
+        this.createQualityPanel();
+        this.createOfflineIndicator();
+        this.createMeasureControls();
+        this.createSectionPanel();
+        this.createStepPlayer();
+
+        this.viewer.addEventListener('select', (event) => {
+            this.updateInfoPanel(event.name);
+            this.announceSelection(event.name);
+        });
+        this.viewer.addEventListener('load', (event) => {
+            const count = this.viewer.getPartNames().length;
+            this.announce(`${event.manifest.name} loaded, ${count} part${count === 1 ? '' : 's'}`);
+        });
+        this.viewer.addEventListener('change', () => this.updateVariantPanel());
+        this.viewer.addEventListener('load', () => this.updateVariantPanel());
+        this.viewer.addEventListener('variantchange', () => this.updateVariantPanel());
+        this.viewer.addEventListener('uploadprogress', (event) => this.updateUploadProgress(event));
+        this.viewer.addEventListener('error', (event) => {
+            // Manifest errors are shown in the loading overlay instead.
+            if ('file' in event || 'part' in event) this.showToast(event.error.message);
+        });
+    }
+
+    append(element) {
+        this.root.appendChild(element);
+        this.elements.push(element);
+        return element;
+    }
+
+    // Adds a row with a label and an input to a panel. Returns the input, or
+    // the row with returnRow, e.g. to show and hide it.
+    addField(panel, label, input, { returnRow = false } = {}) {
+        const row = document.createElement('label');
+        row.style.display = 'flex';
+        row.style.justifyContent = 'space-between';
+        row.style.alignItems = 'center';
+        row.style.gap = '8px';
+        row.append(label, input);
+        panel.appendChild(row);
+        return returnRow ? row : input;
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.padding = '10px';
+        button.style.cursor = 'pointer';
+        button.onclick = onClick;
+        return button;
+    }
+
+    // -------------------------------------------------------------------------
+    // Screen Reader Announcements
+    // -------------------------------------------------------------------------
+    createLiveRegion() {
+        const region = document.createElement('div');
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        // Visually hidden but still read out.
+        region.style.position = 'absolute';
+        region.style.width = '1px';
+        region.style.height = '1px';
+        region.style.overflow = 'hidden';
+        region.style.clipPath = 'inset(50%)';
+        region.style.whiteSpace = 'nowrap';
+        this.liveRegion = this.append(region);
+        this.pendingAnnouncement = null;
+        this.announceTimeout = null;
+    }
+
+    // Quick successions, like loading progress, are read at most once a
+    // second, always ending with the latest text.
+    announce(text) {
+        this.pendingAnnouncement = text;
+        if (this.announceTimeout) return;
+
+        this.liveRegion.textContent = text;
+        this.pendingAnnouncement = null;
+        this.announceTimeout = setTimeout(() => {
+            this.announceTimeout = null;
+            if (this.pendingAnnouncement !== null) {
+                this.announce(this.pendingAnnouncement);
+            }
+        }, 1000);
+    }
+
+    announceSelection(name) {
+        if (name === null) {
+            this.announce('No part selected');
+            return;
+        }
+        const names = this.viewer.getPartNames();
+        this.announce(`${name} selected, part ${names.indexOf(name) + 1} of ${names.length}`);
+    }
+
+    // -------------------------------------------------------------------------
+    // Loading Overlay
+    // -------------------------------------------------------------------------
+    createLoadingOverlay() {
+        const overlay = document.createElement('div');
+        // Use the same light gray background as the scene.
+        overlay.style.position = 'absolute';
+        overlay.style.top = '0';
+        overlay.style.left = '0';
+        overlay.style.width = '100%';
+        overlay.style.height = '100%';
+        overlay.style.backgroundColor = '#cccccc';
+        overlay.style.display = 'flex';
+        overlay.style.flexDirection = 'column';
+        overlay.style.justifyContent = 'center';
+        overlay.style.alignItems = 'center';
+        overlay.style.zIndex = '9999';
+        overlay.innerHTML = `
+            <style>
+            @keyframes spin {
+                0% { transform: rotate(0deg); }
+                100% { transform: rotate(360deg); }
+            }
+            </style>
+            <div style="
+                border: 11px solid #d00024; 
+                border-top: 11px solid #f3f3f3; 
+                border-radius: 50%; 
+                width: 84px; 
+                height: 84px; 
+                animation: spin 2s linear infinite;
+            "></div>
+            <div style="color: #333; margin-top: 20px; font-size: 14px; font-family: sans-serif;">loading...</div>
+            <div style="color: #666; margin-top: 6px; font-size: 12px; font-family: sans-serif;"></div>
+        `;
+        this.loadingOverlay = this.append(overlay);
+        this.loadingText = overlay.lastElementChild.previousElementSibling;
+        // Whether the product is saved for offline use, see updateCacheStatus().
+        this.cacheStatus = overlay.lastElementChild;
+        // Screen readers get the text through the live region instead.
+        overlay.setAttribute('aria-hidden', 'true');
+    }
+
+    showLoading(text = 'loading...') {
+        this.loadingText.textContent = text;
+        this.cacheStatus.textContent = '';
+        this.loadingOverlay.style.display = 'flex';
+        this.announce(text);
+    }
+
+    setLoadingText(text) {
+        this.loadingText.textContent = text;
+        this.announce(text);
+    }
+
+    hideLoading() {
+        this.loadingOverlay.style.display = 'none';
+    }
+
+    // Shows under the loading text how many of the product's models are
+    // saved for offline use.
+    async updateCacheStatus(urls) {
+        const offline = this.viewer.offline;
+        if (!offline.supported) return;
+        const { cached, total } = await offline.getStatus(urls);
+        let text;
+        if (cached === total) {
+            text = 'Saved for offline use';
+        } else if (cached > 0) {
+            text = `${cached} of ${total} models saved for offline use`;
+        } else {
+            text = 'Not saved for offline use';
+        }
+        this.cacheStatus.textContent = offline.online ? text : `Offline · ${text}`;
+    }
+
+    // -------------------------------------------------------------------------
+    // File Upload (for user-provided models)
+    // -------------------------------------------------------------------------
+    createUploadButton() {
+        const uploadContainer = document.createElement('div');
+        uploadContainer.style.position = 'absolute';
+        uploadContainer.style.top = '10px';
+        uploadContainer.style.left = '10px';
+        uploadContainer.style.zIndex = '1000';
+        uploadContainer.style.display = 'flex';
+        uploadContainer.style.gap = '8px';
+        uploadContainer.style.alignItems = 'center';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.glb,.gltf,.bin,.png,.jpg,.jpeg,.webp,.ktx2';
+        fileInput.style.display = 'none';
+        fileInput.multiple = true;
+
+        // A .gltf with its textures is easiest to pick as a whole folder.
+        const folderInput = document.createElement('input');
+        folderInput.type = 'file';
+        folderInput.style.display = 'none';
+        folderInput.webkitdirectory = true;
+
+        [fileInput, folderInput].forEach(input => {
+            input.onchange = (event) => {
+                this.uploadFiles(getInputFiles(event.target.files));
+                input.value = '';
+            };
+        });
+
+        const modeSelect = document.createElement('select');
+        modeSelect.title = 'What to do with the current parts';
+        modeSelect.style.padding = '9px 6px';
+        [['replace', 'Replace parts'], ['add', 'Add to scene']].forEach(([value, label]) => {
+            modeSelect.appendChild(new Option(label, value));
+        });
+        this.uploadMode = modeSelect;
+
+        uploadContainer.append(
+            this.createButton('Upload Model', () => fileInput.click()),
+            this.createButton('Upload Folder', () => folderInput.click()),
+            modeSelect,
+            fileInput,
+            folderInput
+        );
+        this.append(uploadContainer);
+
+        this.progressList = document.createElement('div');
+        this.progressList.style.position = 'absolute';
+        this.progressList.style.top = '56px';
+        this.progressList.style.left = '10px';
+        this.progressList.style.zIndex = '1000';
+        this.progressList.style.fontFamily = 'sans-serif';
+        this.progressList.style.fontSize = '12px';
+        this.progressList.style.display = 'flex';
+        this.progressList.style.flexDirection = 'column';
+        this.progressList.style.gap = '4px';
+        this.progressItems = new Map();
+        this.append(this.progressList);
+
+        this.toastContainer = document.createElement('div');
+        this.toastContainer.style.position = 'absolute';
+        this.toastContainer.style.top = '10px';
+        this.toastContainer.style.left = '50%';
+        this.toastContainer.style.transform = 'translateX(-50%)';
+        this.toastContainer.style.zIndex = '1001';
+        this.toastContainer.style.display = 'flex';
+        this.toastContainer.style.flexDirection = 'column';
+        this.toastContainer.style.gap = '6px';
+        this.toastContainer.style.maxWidth = '360px';
+        this.toastContainer.setAttribute('role', 'alert');
+        this.append(this.toastContainer);
+
+        this.createDropZone();
+    }
+
+    uploadFiles(entries) {
+        if (entries.length === 0) return;
+        this.progressItems.forEach(item => item.remove());
+        this.progressItems.clear();
+        this.viewer.addFiles(entries, { replace: this.uploadMode.value === 'replace' });
+    }
+
+    // Dropping files or folders anywhere on the viewer uploads them.
+    createDropZone() {
+        const highlight = document.createElement('div');
+        highlight.style.position = 'absolute';
+        highlight.style.inset = '0';
+        highlight.style.border = '3px dashed #d00024';
+        highlight.style.background = 'rgba(208, 0, 36, 0.08)';
+        highlight.style.pointerEvents = 'none';
+        highlight.style.zIndex = '1002';
+        highlight.style.display = 'none';
+        this.append(highlight);
+
+        let depth = 0;
+        const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+        this.dropHandlers = {
+            dragenter: (event) => {
+                if (!hasFiles(event)) return;
+                event.preventDefault();
+                depth++;
+                highlight.style.display = 'block';
+            },
+            dragover: (event) => {
+                if (!hasFiles(event)) return;
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'copy';
+            },
+            dragleave: () => {
+                depth = Math.max(0, depth - 1);
+                if (depth === 0) highlight.style.display = 'none';
+            },
+            drop: async (event) => {
+                if (!hasFiles(event)) return;
+                event.preventDefault();
+                depth = 0;
+                highlight.style.display = 'none';
+                try {
+                    this.uploadFiles(await getDroppedFiles(event.dataTransfer));
+                } catch (error) {
+                    console.error('Could not read the dropped files:', error);
+                    this.showToast('Could not read the dropped files');
+                }
+            }
+        };
+        Object.entries(this.dropHandlers).forEach(([type, handler]) => this.root.addEventListener(type, handler));
+    }
+
+    updateUploadProgress({ file, status, loaded, total, name }) {
+        let item = this.progressItems.get(file);
+        if (!item) {
+            item = document.createElement('div');
+            item.style.background = 'rgba(255, 255, 255, 0.9)';
+            item.style.padding = '4px 8px';
+            item.style.borderRadius = '4px';
+            this.progressItems.set(file, item);
+            this.progressList.appendChild(item);
+        }
+
+        if (status === 'loading') {
+            const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0;
+            item.textContent = `${file}: ${percent}%`;
+        } else if (status === 'loaded') {
+            item.textContent = `${file}: done`;
+            this.announce(`${file} loaded`);
+            const issues = this.viewer.inspectModel(name).issues;
+            if (issues.length > 0) {
+                this.showToast(`${file}: ${issues.length} problem${issues.length === 1 ? '' : 's'} found, see Inspect`);
+            }
+            setTimeout(() => {
+                item.remove();
+                if (this.progressItems.get(file) === item) this.progressItems.delete(file);
+            }, 2000);
+        } else {
+            item.remove();
+            this.progressItems.delete(file);
+        }
+    }
+
+    showToast(message, duration = 8000) {
+        const toast = document.createElement('div');
+        toast.style.display = 'flex';
+        toast.style.gap = '8px';
+        toast.style.alignItems = 'flex-start';
+        toast.style.background = '#333';
+        toast.style.color = '#fff';
+        toast.style.padding = '8px 10px';
+        toast.style.borderRadius = '4px';
+        toast.style.fontFamily = 'sans-serif';
+        toast.style.fontSize = '13px';
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        text.style.flex = '1';
+        const close = document.createElement('button');
+        close.textContent = '×';
+        close.setAttribute('aria-label', 'Dismiss');
+        close.style.background = 'none';
+        close.style.border = 'none';
+        close.style.color = 'inherit';
+        close.style.cursor = 'pointer';
+        close.onclick = () => toast.remove();
+
+        toast.append(text, close);
+        this.toastContainer.appendChild(toast);
+        setTimeout(() => toast.remove(), duration);
+    }
+
+    // -------------------------------------------------------------------------
+    // Exploded View
+    // -------------------------------------------------------------------------
+    createExplodeControls() {
+        const explodedView = this.viewer.explodedView;
+
+        const explodeContainer = document.createElement('div');
+        explodeContainer.style.position = 'absolute';
+        explodeContainer.style.top = '10px';
+        explodeContainer.style.right = '10px';
+        explodeContainer.style.zIndex = '1000';
+        explodeContainer.style.display = 'flex';
+        explodeContainer.style.alignItems = 'center';
+        explodeContainer.style.gap = '8px';
+
+        const explodeButton = this.createButton('Explode', () => explodedView.toggle());
+
+        const explodeSlider = document.createElement('input');
+        explodeSlider.type = 'range';
+        explodeSlider.min = '0';
+        explodeSlider.max = '100';
+        explodeSlider.value = '0';
+        explodeSlider.title = 'Exploded view';
+        explodeSlider.oninput = () => {
+            explodedView.stop();
+            explodedView.setFactor(explodeSlider.value / 100);
+        };
+
+        const resetButton = this.createButton('Reset Assembly', () => explodedView.reset());
+
+        const undoButton = this.createButton('Undo', () => this.viewer.undo());
+        undoButton.title = 'Undo the last move (Ctrl+Z)';
+        undoButton.disabled = true;
+        const redoButton = this.createButton('Redo', () => this.viewer.redo());
+        redoButton.title = 'Redo (Ctrl+Y)';
+        redoButton.disabled = true;
+        this.viewer.addEventListener('historychange', (event) => {
+            undoButton.disabled = !event.canUndo;
+            redoButton.disabled = !event.canRedo;
+        });
+
+        explodedView.addEventListener('change', (event) => {
+            explodeSlider.value = String(Math.round(event.factor * 100));
+            explodeButton.textContent = event.factor < 0.5 ? 'Explode' : 'Assemble';
+        });
+
+        // Only shown for products that come with assembly steps.
+        const guideButton = this.createButton('Assembly Guide', () => this.viewer.steps.start());
+        guideButton.style.display = 'none';
+        const updateGuideButton = () => {
+            guideButton.style.display = this.viewer.steps.steps.length > 0 ? 'inline-block' : 'none';
+        };
+        this.viewer.addEventListener('load', updateGuideButton);
+        this.viewer.addEventListener('change', updateGuideButton);
+
+        explodeContainer.appendChild(explodeButton);
+        explodeContainer.appendChild(explodeSlider);
+        explodeContainer.appendChild(undoButton);
+        explodeContainer.appendChild(redoButton);
+        explodeContainer.appendChild(resetButton);
+        explodeContainer.appendChild(guideButton);
+        this.append(explodeContainer);
+    }
+
+    // -------------------------------------------------------------------------
+    // Part Info Panel
+    // -------------------------------------------------------------------------
+    createInfoPanel() {
+        const panel = document.createElement('div');
+        panel.style.position = 'absolute';
+        panel.style.top = '60px';
+        panel.style.right = '10px';
+        panel.style.width = '260px';
+        panel.style.padding = '12px 16px';
+        panel.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+        panel.style.borderLeft = '4px solid #d00024';
+        panel.style.fontFamily = 'sans-serif';
+        panel.style.fontSize = '13px';
+        panel.style.color = '#333';
+        panel.style.zIndex = '1000';
+        panel.style.display = 'none';
+        this.infoPanel = this.append(panel);
+    }
+
+    updateInfoPanel(name) {
+        const panel = this.infoPanel;
+        panel.replaceChildren();
+        const object = name === null ? null : this.viewer.getPart(name);
+        if (!object) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const manifest = this.viewer.manifest;
+        const info = getPartInfo(object);
+        const part = manifest?.parts.find(entry => entry.name === name);
+        const size = info.dimensions;
+        const mm = (value) => (value * 1000).toFixed(1);
+
+        const title = document.createElement('h3');
+        title.textContent = name;
+        title.style.marginBottom = '8px';
+        panel.appendChild(title);
+
+        const description = part ? part.description || manifest.description : null;
+        if (description) {
+            const text = document.createElement('p');
+            text.textContent = description;
+            text.style.marginBottom = '8px';
+            panel.appendChild(text);
+        }
+
+        const rows = [
+            ['Material', info.materials.join(', ') || '-'],
+            ['Dimensions', `${mm(size.x)} × ${mm(size.y)} × ${mm(size.z)} mm`],
+            ['Triangles', info.triangles.toLocaleString()],
+            ['Meshes', String(info.meshes)]
+        ];
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.style.margin = '2px 0';
+            const strong = document.createElement('strong');
+            strong.textContent = `${label}: `;
+            row.appendChild(strong);
+            row.appendChild(document.createTextNode(value));
+            panel.appendChild(row);
+        });
+
+        panel.style.display = 'block';
+    }
+
+    // -------------------------------------------------------------------------
+    // Variant Configurator
+    // -------------------------------------------------------------------------
+    createVariantPanel() {
+        const panel = document.createElement('div');
+        panel.style.position = 'absolute';
+        panel.style.top = '60px';
+        panel.style.left = '10px';
+        panel.style.padding = '8px';
+        panel.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+        panel.style.fontFamily = 'sans-serif';
+        panel.style.fontSize = '13px';
+        panel.style.color = '#333';
+        panel.style.zIndex = '1000';
+        panel.style.display = 'none';
+        panel.style.flexDirection = 'column';
+        panel.style.gap = '4px';
+        this.variantPanel = this.append(panel);
+    }
+
+    updateVariantPanel() {
+        const panel = this.variantPanel;
+        const variants = this.viewer.getVariants();
+        const current = this.viewer.getVariant();
+        panel.replaceChildren();
+        if (variants.length === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const title = document.createElement('strong');
+        title.textContent = 'Colour';
+        panel.appendChild(title);
+
+        variants.forEach(variant => {
+            const button = this.createButton(variant.name, () => {
+                this.viewer.selectVariant(variant.name).catch(error => {
+                    console.error(`Error applying variant ${variant.name}:`, error);
+                });
+            });
+            button.style.display = 'flex';
+            button.style.alignItems = 'center';
+            button.style.gap = '8px';
+            button.style.textAlign = 'left';
+            button.style.fontWeight = variant.name === current ? 'bold' : 'normal';
+            button.setAttribute('aria-pressed', String(variant.name === current));
+            if (variant.swatch) {
+                const swatch = document.createElement('span');
+                swatch.style.width = '14px';
+                swatch.style.height = '14px';
+                swatch.style.borderRadius = '50%';
+                swatch.style.border = '1px solid #999';
+                swatch.style.backgroundColor = variant.swatch;
+                button.prepend(swatch);
+            }
+            panel.appendChild(button);
+        });
+
+        panel.style.display = 'flex';
+    }
+
+    // -------------------------------------------------------------------------
+    // Toolbar (bottom right, one panel open at a time)
+    // -------------------------------------------------------------------------
+    createToolbar() {
+        const container = document.createElement('div');
+        container.style.position = 'absolute';
+        container.style.bottom = '10px';
+        container.style.right = '10px';
+        container.style.zIndex = '1000';
+        container.style.display = 'flex';
+        container.style.flexDirection = 'column';
+        container.style.alignItems = 'flex-end';
+        container.style.gap = '8px';
+        container.style.fontFamily = 'sans-serif';
+        container.style.fontSize = '13px';
+
+        this.toolbarButtons = document.createElement('div');
+        this.toolbarButtons.style.display = 'flex';
+        this.toolbarButtons.style.gap = '8px';
+        this.toolbarPanels = [];
+
+        container.appendChild(this.toolbarButtons);
+        this.toolbar = this.append(container);
+    }
+
+    // Adds a button that opens the panel above it and returns the panel.
+    addToolbarPanel(label) {
+        const panel = document.createElement('div');
+        panel.style.display = 'none';
+        panel.style.flexDirection = 'column';
+        panel.style.gap = '6px';
+        panel.style.padding = '12px';
+        panel.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+        panel.style.color = '#333';
+
+        const toggleButton = this.createButton(label, () => {
+            const open = panel.style.display === 'none';
+            this.toolbarPanels.forEach(other => {
+                other.style.display = 'none';
+            });
+            panel.style.display = open ? 'flex' : 'none';
+        });
+
+        this.toolbarPanels.push(panel);
+        this.toolbar.insertBefore(panel, this.toolbarButtons);
+        this.toolbarButtons.appendChild(toggleButton);
+        return panel;
+    }
+
+    // -------------------------------------------------------------------------
+    // Capture (screenshots and turntables)
+    // -------------------------------------------------------------------------
+    createCapturePanel() {
+        const panel = this.addToolbarPanel('Capture');
+
+        const select = (options) => {
+            const element = document.createElement('select');
+            options.forEach(([value, text]) => element.add(new Option(text, value)));
+            return element;
+        };
+        const number = (value, min, max, step = 1) => {
+            const element = document.createElement('input');
+            element.type = 'number';
+            element.value = String(value);
+            element.min = String(min);
+            element.max = String(max);
+            element.step = String(step);
+            element.style.width = '64px';
+            return element;
+        };
+
+        const sizeSelect = this.addField(panel, 'Size', select([
+            ['1', 'Screen'],
+            ['2', 'Screen × 2'],
+            ['4', 'Screen × 4'],
+            ['1920x1080', '1920 × 1080'],
+            ['3840x2160', '3840 × 2160'],
+            ['800x800', '800 × 800'],
+            ['480x480', '480 × 480']
+        ]));
+        const transparentInput = document.createElement('input');
+        transparentInput.type = 'checkbox';
+        this.addField(panel, 'Transparent background', transparentInput);
+        const framesInput = this.addField(panel, 'Turntable frames', number(60, 2, 600));
+        const durationInput = this.addField(panel, 'Duration (s)', number(4, 0.5, 60, 0.5));
+        const formatSelect = this.addField(panel, 'Format', select([['webm', 'WebM'], ['gif', 'GIF']]));
+
+        const status = document.createElement('div');
+        status.setAttribute('aria-live', 'polite');
+
+        const getOptions = () => {
+            const canvas = this.viewer.renderer.domElement;
+            const [width, height] = sizeSelect.value.includes('x')
+                ? sizeSelect.value.split('x').map(Number)
+                : [canvas.clientWidth * Number(sizeSelect.value), canvas.clientHeight * Number(sizeSelect.value)];
+            return { width, height, transparent: transparentInput.checked };
+        };
+        const fileName = (extension) => `${this.viewer.manifest?.id || 'product'}.${extension}`;
+        const run = async (label, task) => {
+            status.textContent = label;
+            try {
+                await task();
+                status.textContent = '';
+            } catch (error) {
+                console.error('Capture failed:', error);
+                status.textContent = error.message;
+            }
+        };
+
+        const imageButton = this.createButton('Save PNG', () => run('Rendering…', async () => {
+            downloadBlob(await this.viewer.captureImage(getOptions()), fileName('png'));
+        }));
+        const turntableButton = this.createButton('Record Turntable', () => run('Recording…', async () => {
+            const format = formatSelect.value;
+            const blob = await this.viewer.recordTurntable({
+                ...getOptions(),
+                frames: Number(framesInput.value),
+                duration: Number(durationInput.value),
+                format,
+                onProgress: (fraction) => {
+                    status.textContent = `Recording… ${Math.round(fraction * 100)}%`;
+                }
+            });
+            downloadBlob(blob, fileName(format));
+        }));
+        panel.append(imageButton, turntableButton, status);
+    }
+
+    // -------------------------------------------------------------------------
+    // Export (GLB and USDZ)
+    // -------------------------------------------------------------------------
+    createExportPanel() {
+        const panel = this.addToolbarPanel('Export');
+
+        const status = document.createElement('div');
+        status.setAttribute('aria-live', 'polite');
+        const fileName = (extension) => `${this.viewer.manifest?.id || 'product'}.${extension}`;
+        const run = async (task) => {
+            status.textContent = 'Exporting…';
+            try {
+                await task();
+                status.textContent = '';
+            } catch (error) {
+                console.error('Export failed:', error);
+                status.textContent = error.message;
+            }
+        };
+
+        const glbButton = this.createButton('Download GLB', () => run(async () => {
+            downloadBlob(await this.viewer.exportGLB(), fileName('glb'));
+        }));
+        const usdzButton = this.createButton('Download USDZ', () => run(async () => {
+            downloadBlob(await this.viewer.exportUSDZ(), fileName('usdz'));
+        }));
+        panel.append(glbButton, usdzButton);
+
+        // iOS has no WebXR, but opens USDZ in Quick Look AR.
+        if (supportsQuickLook()) {
+            const quickLookButton = this.createButton('View in AR', () => run(() => this.viewer.openQuickLook()));
+            if (this.viewer.options.ar && !('xr' in navigator)) {
+                this.toolbarButtons.prepend(quickLookButton);
+            } else {
+                panel.appendChild(quickLookButton);
+            }
+        }
+        panel.appendChild(status);
+    }
+
+    // -------------------------------------------------------------------------
+    // Inspector (QA of loaded models)
+    // -------------------------------------------------------------------------
+    createInspectorPanel() {
+        const panel = this.addToolbarPanel('Inspect');
+        panel.style.width = '300px';
+        panel.style.maxHeight = '60vh';
+        panel.style.overflowY = 'auto';
+
+        const bytes = (value) => (value >= 1048576 ? `${(value / 1048576).toFixed(1)} MB` : `${Math.ceil(value / 1024)} KB`);
+        const section = (title, open = false) => {
+            const details = document.createElement('details');
+            details.open = open;
+            const summary = document.createElement('summary');
+            summary.textContent = title;
+            summary.style.cursor = 'pointer';
+            summary.style.fontWeight = 'bold';
+            details.appendChild(summary);
+            return details;
+        };
+        const line = (text, color) => {
+            const element = document.createElement('div');
+            element.textContent = text;
+            element.style.margin = '2px 0 2px 12px';
+            if (color) element.style.color = color;
+            return element;
+        };
+
+        const partSelect = this.addField(panel, 'Part', document.createElement('select'));
+        const modeSelect = this.addField(panel, 'Render', document.createElement('select'));
+        [['default', 'Materials'], ['wireframe', 'Wireframe'], ['normals', 'Normals'], ['uv', 'UV checker']]
+            .forEach(([value, text]) => modeSelect.add(new Option(text, value)));
+        modeSelect.onchange = () => this.viewer.setRenderMode(modeSelect.value);
+        this.viewer.inspector.addEventListener('change', (event) => {
+            modeSelect.value = event.mode;
+        });
+
+        const report = document.createElement('div');
+        report.style.display = 'flex';
+        report.style.flexDirection = 'column';
+        report.style.gap = '4px';
+        panel.appendChild(report);
+
+        const tree = (node) => {
+            const label = `${node.name} (${node.type}${node.triangles !== undefined ? `, ${node.triangles.toLocaleString()} tris` : ''})`;
+            if (node.children.length === 0) return line(label);
+            const details = section(label);
+            details.style.marginLeft = '12px';
+            details.firstChild.style.fontWeight = 'normal';
+            node.children.forEach(child => details.appendChild(tree(child)));
+            return details;
+        };
+
+        const update = () => {
+            report.replaceChildren();
+            const name = partSelect.value;
+            if (!name) {
+                report.appendChild(line('No parts loaded'));
+                return;
+            }
+            const info = this.viewer.inspectModel(name);
+
+            [
+                ['Triangles', info.triangles.toLocaleString()],
+                ['Vertices', info.vertices.toLocaleString()],
+                ['Draw calls', String(info.drawCalls)],
+                ['Geometry', bytes(info.geometryBytes)],
+                ['Textures', `${info.textures.length}, ${bytes(info.textureBytes)}`],
+                ['Extensions', info.extensionsUsed.join(', ') || '-']
+            ].forEach(([label, value]) => {
+                const row = document.createElement('div');
+                const strong = document.createElement('strong');
+                strong.textContent = `${label}: `;
+                row.append(strong, value);
+                report.appendChild(row);
+            });
+
+            const issues = section(`Problems (${info.issues.length})`, info.issues.length > 0);
+            info.issues.forEach(issue => {
+                const text = issue.node ? `${issue.node}: ${issue.message}` : issue.message;
+                issues.appendChild(line(text, issue.level === 'error' ? '#d00024' : '#a15c00'));
+            });
+            const textures = section(`Textures (${info.textures.length})`);
+            info.textures.forEach(texture => {
+                textures.appendChild(line(`${texture.name}: ${texture.width} × ${texture.height}, ${bytes(texture.bytes)}` +
+                    `${texture.compressed ? ', compressed' : ''} (${texture.slots.join(', ')})`));
+            });
+            const materials = section(`Materials (${info.materials.length})`);
+            info.materials.forEach(material => {
+                materials.appendChild(line(`${material.name}: ${material.type}, ${material.meshes} mesh${material.meshes === 1 ? '' : 'es'}` +
+                    `${material.textures.length > 0 ? ` (${material.textures.join(', ')})` : ''}`));
+            });
+            const nodes = section('Nodes');
+            nodes.appendChild(tree(info.tree));
+            report.append(issues, textures, materials, nodes);
+        };
+
+        const updateParts = () => {
+            const names = this.viewer.getPartNames();
+            const current = this.viewer.selection.selectedName || partSelect.value;
+            partSelect.replaceChildren(...names.map(name => new Option(name, name)));
+            partSelect.value = names.includes(current) ? current : names[0] || '';
+            update();
+        };
+        partSelect.onchange = update;
+        this.viewer.addEventListener('change', updateParts);
+        this.viewer.addEventListener('variantchange', update);
+        this.viewer.addEventListener('select', (event) => {
+            if (event.name === null) return;
+            partSelect.value = event.name;
+            update();
+        });
+        updateParts();
+    }
+
+    // -------------------------------------------------------------------------
+    // Lighting
+    // -------------------------------------------------------------------------
+    createLightingPanel() {
+        const lighting = this.viewer.lighting;
+        const panel = this.addToolbarPanel('Lighting');
+        panel.style.width = '220px';
+
+        const slider = (min, max, step) => {
+            const element = document.createElement('input');
+            element.type = 'range';
+            element.min = String(min);
+            element.max = String(max);
+            element.step = String(step);
+            element.style.width = '110px';
+            return element;
+        };
+        const colorInput = (onInput) => {
+            const element = document.createElement('input');
+            element.type = 'color';
+            element.oninput = onInput;
+            return element;
+        };
+
+        const presetSelect = document.createElement('select');
+        // The product's own HDR, when its manifest doesn't use a preset.
+        presetSelect.add(new Option('Product HDR', ''));
+        this.viewer.getEnvironmentPresets().forEach(preset => presetSelect.add(new Option(preset.name, preset.id)));
+        const status = document.createElement('div');
+        status.setAttribute('aria-live', 'polite');
+        presetSelect.onchange = () => {
+            const environment = presetSelect.value || this.viewer.manifest?.environment;
+            if (!environment) return;
+            status.textContent = 'Loading…';
+            this.viewer.setEnvironment(environment).then(() => {
+                status.textContent = '';
+            }, error => {
+                console.error('Error loading environment:', error);
+                status.textContent = error.message;
+            });
+        };
+        this.addField(panel, 'Environment', presetSelect);
+
+        const exposureInput = slider(0.1, 2, 0.05);
+        exposureInput.oninput = () => this.viewer.setExposure(Number(exposureInput.value));
+        this.addField(panel, 'Exposure', exposureInput);
+
+        const rotationInput = slider(0, 360, 1);
+        rotationInput.oninput = () => this.viewer.setEnvironmentRotation(Number(rotationInput.value));
+        this.addField(panel, 'Rotation', rotationInput);
+
+        const backgroundSelect = document.createElement('select');
+        backgroundSelect.add(new Option('Environment', 'environment'));
+        backgroundSelect.add(new Option('Solid colour', 'color'));
+        backgroundSelect.add(new Option('Gradient', 'gradient'));
+        backgroundSelect.onchange = () => this.viewer.setBackgroundMode(backgroundSelect.value);
+        this.addField(panel, 'Background', backgroundSelect);
+
+        const solidInput = colorInput(() => this.viewer.setBackground(solidInput.value));
+        const solidRow = this.addField(panel, 'Colour', solidInput, { returnRow: true });
+        const topInput = colorInput(() => this.viewer.setBackgroundGradient(topInput.value, bottomInput.value));
+        const bottomInput = colorInput(() => this.viewer.setBackgroundGradient(topInput.value, bottomInput.value));
+        const gradientRow = this.addField(panel, 'Top / bottom', document.createElement('span'), { returnRow: true });
+        gradientRow.lastChild.append(topInput, bottomInput);
+
+        const stage = this.viewer.stage;
+        const stageTitle = document.createElement('strong');
+        stageTitle.textContent = 'Stage';
+        panel.appendChild(stageTitle);
+        const stageInputs = [
+            ['ground', 'Ground'],
+            ['shadows', 'Contact shadows'],
+            ['reflection', 'Reflection']
+        ].map(([option, label]) => {
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.onchange = () => this.viewer.setStage({ [option]: input.checked });
+            this.addField(panel, label, input);
+            return [option, input];
+        });
+        panel.appendChild(status);
+
+        const update = () => {
+            // Don't fight the user while a slider is being dragged.
+            if (document.activeElement !== exposureInput) exposureInput.value = String(lighting.exposure);
+            if (document.activeElement !== rotationInput) rotationInput.value = String(lighting.rotation);
+            presetSelect.value = lighting.presetId || '';
+            backgroundSelect.value = lighting.backgroundMode;
+            // Colour inputs only take #rrggbb.
+            if (/^#[0-9a-f]{6}$/i.test(lighting.backgroundColor)) solidInput.value = lighting.backgroundColor;
+            [topInput.value, bottomInput.value] = lighting.gradient;
+            solidRow.style.display = lighting.backgroundMode === 'color' ? 'flex' : 'none';
+            gradientRow.style.display = lighting.backgroundMode === 'gradient' ? 'flex' : 'none';
+        };
+        lighting.addEventListener('change', update);
+        update();
+
+        const updateStage = () => {
+            stageInputs.forEach(([option, input]) => {
+                input.checked = Boolean(stage.options[option]);
+            });
+        };
+        stage.addEventListener('change', updateStage);
+        updateStage();
+    }
+
+    // -------------------------------------------------------------------------
+    // Transform (part gizmo and snapping)
+    // -------------------------------------------------------------------------
+    createTransformPanel() {
+        const gizmo = this.viewer.gizmo;
+        const snapping = this.viewer.snapping;
+        const panel = this.addToolbarPanel('Transform');
+
+        const gizmoInput = document.createElement('input');
+        gizmoInput.type = 'checkbox';
+        gizmoInput.onchange = () => this.viewer.setGizmoEnabled(gizmoInput.checked);
+        this.addField(panel, 'Gizmo on selected part', gizmoInput);
+
+        const modeSelect = this.addField(panel, 'Mode', document.createElement('select'));
+        [['translate', 'Move (W)'], ['rotate', 'Rotate (E)'], ['scale', 'Scale (R)']]
+            .forEach(([value, text]) => modeSelect.add(new Option(text, value)));
+        modeSelect.onchange = () => this.viewer.setGizmoMode(modeSelect.value);
+
+        const spaceSelect = this.addField(panel, 'Axes', document.createElement('select'));
+        [['local', 'Part (Q)'], ['world', 'World (Q)']].forEach(([value, text]) => spaceSelect.add(new Option(text, value)));
+        spaceSelect.onchange = () => this.viewer.setGizmoSpace(spaceSelect.value);
+
+        const updateGizmo = () => {
+            gizmoInput.checked = gizmo.enabled;
+            modeSelect.value = gizmo.mode;
+            spaceSelect.value = gizmo.space;
+        };
+        gizmo.addEventListener('change', updateGizmo);
+        updateGizmo();
+
+        const snapTitle = document.createElement('strong');
+        snapTitle.textContent = 'Snapping';
+        panel.appendChild(snapTitle);
+
+        const gridSelect = this.addField(panel, 'Grid', document.createElement('select'));
+        [['0', 'Off'], ['0.001', '1 mm'], ['0.005', '5 mm'], ['0.01', '1 cm'], ['0.0254', '1 in']]
+            .forEach(([value, text]) => gridSelect.add(new Option(text, value)));
+        gridSelect.value = String(snapping.grid);
+        gridSelect.onchange = () => this.viewer.setSnapping({ grid: Number(gridSelect.value) });
+
+        const axisSelect = this.addField(panel, 'Axis', document.createElement('select'));
+        [['', 'Free'], ['auto', 'Main direction'], ['x', 'X only'], ['y', 'Y only'], ['z', 'Z only']]
+            .forEach(([value, text]) => axisSelect.add(new Option(text, value)));
+        axisSelect.value = snapping.axis || '';
+        axisSelect.onchange = () => this.viewer.setSnapping({ axis: axisSelect.value || null });
+
+        const homeInput = document.createElement('input');
+        homeInput.type = 'checkbox';
+        homeInput.checked = snapping.home;
+        homeInput.onchange = () => this.viewer.setSnapping({ home: homeInput.checked });
+        this.addField(panel, 'Snap back into place', homeInput);
+    }
+
+    // -------------------------------------------------------------------------
+    // View (camera views, motion and keyboard help)
+    // -------------------------------------------------------------------------
+    createViewPanel() {
+        const panel = this.addToolbarPanel('View');
+        panel.style.width = '240px';
+
+        const views = document.createElement('div');
+        views.style.display = 'flex';
+        views.style.flexWrap = 'wrap';
+        views.style.gap = '4px';
+        const updateViews = () => {
+            views.replaceChildren(...this.viewer.getCameraViews().map(view => {
+                return this.createButton(view.label, () => this.viewer.setCameraView(view.name));
+            }));
+        };
+        this.viewer.addEventListener('load', updateViews);
+        updateViews();
+        panel.appendChild(views);
+
+        const autoRotateInput = document.createElement('input');
+        autoRotateInput.type = 'checkbox';
+        autoRotateInput.checked = Boolean(this.viewer.options.autoRotate);
+        autoRotateInput.onchange = () => this.viewer.setAutoRotate(autoRotateInput.checked);
+        this.addField(panel, 'Auto-rotate when idle', autoRotateInput);
+
+        const motionInput = document.createElement('input');
+        motionInput.type = 'checkbox';
+        motionInput.onchange = () => this.viewer.setReducedMotion(motionInput.checked);
+        this.addField(panel, 'Reduce motion', motionInput);
+        this.viewer.addEventListener('reducedmotionchange', (event) => {
+            motionInput.checked = event.enabled;
+        });
+        motionInput.checked = Boolean(this.viewer.reducedMotion);
+
+        const keysTitle = document.createElement('strong');
+        keysTitle.textContent = 'Keyboard';
+        const keys = document.createElement('dl');
+        keys.style.display = 'grid';
+        keys.style.gridTemplateColumns = 'auto 1fr';
+        keys.style.gap = '2px 8px';
+        keys.style.margin = '0';
+        [
+            ['Arrows', 'Rotate the view, or move the selected part (Shift: larger steps)'],
+            ['+ / −', 'Zoom'],
+            ['Tab', 'Next part, Shift+Tab previous'],
+            ['Esc', 'Clear the selection'],
+            ['W E R / Q', 'Gizmo mode / axes'],
+            ['Ctrl+Z / Y', 'Undo / redo']
+        ].forEach(([key, action]) => {
+            const term = document.createElement('dt');
+            term.textContent = key;
+            term.style.fontWeight = 'bold';
+            const description = document.createElement('dd');
+            description.textContent = action;
+            description.style.margin = '0';
+            keys.append(term, description);
+        });
+
+        panel.append(keysTitle, keys);
+    }
+
+    // -------------------------------------------------------------------------
+    // Quality (presets, render on demand and frame stats)
+    // -------------------------------------------------------------------------
+    createQualityPanel() {
+        const quality = this.viewer.quality;
+        const panel = this.addToolbarPanel('Quality');
+        panel.style.width = '220px';
+
+        const checkbox = (checked, onChange) => {
+            const element = document.createElement('input');
+            element.type = 'checkbox';
+            element.checked = checked;
+            element.onchange = () => onChange(element.checked);
+            return element;
+        };
+
+        const modeSelect = this.addField(panel, 'Quality', document.createElement('select'));
+        [['auto', 'Auto'], ['low', 'Low'], ['medium', 'Medium'], ['high', 'High']]
+            .forEach(([value, text]) => modeSelect.add(new Option(text, value)));
+        modeSelect.value = quality.mode;
+        modeSelect.onchange = () => this.viewer.setQuality(modeSelect.value);
+        const level = document.createElement('div');
+        level.style.color = '#666';
+        panel.appendChild(level);
+        const updateLevel = () => {
+            modeSelect.value = quality.mode;
+            level.textContent = `${quality.level[0].toUpperCase()}${quality.level.slice(1)}, ` +
+                `pixel ratio ${quality.pixelRatio.toFixed(2)}`;
+        };
+        this.viewer.addEventListener('qualitychange', updateLevel);
+        updateLevel();
+
+        this.addField(panel, 'Render only on change', checkbox(quality.renderOnDemand, enabled => this.viewer.setRenderOnDemand(enabled)));
+
+        // Frame stats over the canvas, above the toolbar.
+        const stats = document.createElement('pre');
+        stats.style.display = 'none';
+        stats.style.margin = '0';
+        stats.style.padding = '6px 8px';
+        stats.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        stats.style.color = '#fff';
+        stats.style.font = '11px monospace';
+        stats.style.pointerEvents = 'none';
+        stats.setAttribute('aria-hidden', 'true');
+        this.toolbar.insertBefore(stats, this.toolbar.firstChild);
+        quality.addEventListener('stats', (event) => {
+            if (stats.style.display === 'none') return;
+            const { fps, frameTime, calls, triangles, level: current, pixelRatio } = event.stats;
+            stats.textContent = [
+                `${fps} fps  ${frameTime.toFixed(1)} ms`,
+                `${calls} calls  ${triangles.toLocaleString()} tris`,
+                `${current} @ ${pixelRatio.toFixed(2)}x`
+            ].join('\n');
+        });
+        this.addField(panel, 'Show stats', checkbox(false, visible => {
+            stats.style.display = visible ? 'block' : 'none';
+        }));
+    }
+
+    // -------------------------------------------------------------------------
+    // Offline indicator (connection and saving for offline use)
+    // -------------------------------------------------------------------------
+    createOfflineIndicator() {
+        const offline = this.viewer.offline;
+        if (!offline) return;
+
+        const indicator = document.createElement('div');
+        indicator.style.alignSelf = 'center';
+        indicator.style.padding = '4px 10px';
+        indicator.style.borderRadius = '12px';
+        indicator.style.background = 'rgba(51, 51, 51, 0.85)';
+        indicator.style.color = '#fff';
+        indicator.style.fontFamily = 'sans-serif';
+        indicator.style.fontSize = '12px';
+        // Changes are announced through the live region instead.
+        indicator.setAttribute('aria-hidden', 'true');
+        this.toastContainer.prepend(indicator);
+
+        let saving = null;
+        const update = () => {
+            if (saving) {
+                indicator.textContent = `${offline.online ? '' : 'Offline · '}Saving for offline use, ${saving.loaded} of ${saving.total}`;
+            } else {
+                indicator.textContent = 'Offline';
+            }
+            indicator.style.display = saving || !offline.online ? 'block' : 'none';
+        };
+        // The cache may outlive the viewer, see dispose().
+        this.offlineHandlers = {
+            online: (event) => {
+                update();
+                this.announce(event.online ? 'Back online' : 'Offline, saved products still work');
+            },
+            progress: (event) => {
+                const done = event.loaded + event.failed === event.total;
+                saving = done ? null : event;
+                update();
+                if (done && event.failed > 0) {
+                    this.showToast(`${event.failed} of ${event.total} files could not be saved for offline use`);
+                }
+            }
+        };
+        Object.entries(this.offlineHandlers).forEach(([type, handler]) => offline.addEventListener(type, handler));
+        update();
+    }
+
+    // -------------------------------------------------------------------------
+    // Measure Tool
+    // -------------------------------------------------------------------------
+    createMeasureControls() {
+        const container = document.createElement('div');
+        container.style.position = 'absolute';
+        container.style.bottom = '10px';
+        container.style.left = '50%';
+        container.style.transform = 'translateX(-50%)';
+        container.style.zIndex = '1000';
+        container.style.display = 'flex';
+        container.style.alignItems = 'center';
+        container.style.gap = '8px';
+        container.style.fontFamily = 'sans-serif';
+        container.style.fontSize = '13px';
+
+        const readout = document.createElement('span');
+        readout.setAttribute('aria-live', 'polite');
+        readout.style.background = 'rgba(255, 255, 255, 0.9)';
+        readout.style.padding = '4px 8px';
+        readout.style.display = 'none';
+
+        let measuring = false;
+        const measureButton = this.createButton('Measure', () => {
+            measuring = !measuring;
+            this.viewer.setMeasureMode(measuring);
+            measureButton.textContent = measuring ? 'Stop Measuring' : 'Measure';
+            readout.textContent = 'Pick two points';
+            readout.style.display = measuring ? 'inline' : 'none';
+        });
+
+        let dimensions = false;
+        const dimensionsButton = this.createButton('Dimensions', () => {
+            dimensions = !dimensions;
+            this.viewer.setDimensionsVisible(dimensions);
+            dimensionsButton.textContent = dimensions ? 'Hide Dimensions' : 'Dimensions';
+        });
+
+        const unitSelect = document.createElement('select');
+        unitSelect.title = 'Unit';
+        unitSelect.style.padding = '9px 6px';
+        [['mm', 'mm'], ['cm', 'cm'], ['in', 'inch']].forEach(([value, label]) => {
+            unitSelect.appendChild(new Option(label, value));
+        });
+        unitSelect.onchange = () => {
+            this.viewer.setMeasureUnit(unitSelect.value);
+            showDistance();
+        };
+
+        const showDistance = () => {
+            const distance = this.viewer.measure.getDistance();
+            if (measuring) {
+                readout.textContent = distance === null ? 'Pick two points' : this.viewer.measure.format(distance);
+            }
+        };
+        this.viewer.addEventListener('measure', showDistance);
+
+        container.append(measureButton, dimensionsButton, unitSelect, readout);
+        this.append(container);
+    }
+
+    // -------------------------------------------------------------------------
+    // Section View
+    // -------------------------------------------------------------------------
+    createSectionPanel() {
+        const section = this.viewer.section;
+
+        const container = document.createElement('div');
+        container.style.position = 'absolute';
+        container.style.bottom = '10px';
+        container.style.left = '10px';
+        container.style.zIndex = '1000';
+        container.style.display = 'flex';
+        container.style.flexDirection = 'column';
+        container.style.alignItems = 'flex-start';
+        container.style.gap = '8px';
+        container.style.fontFamily = 'sans-serif';
+        container.style.fontSize = '13px';
+
+        const panel = document.createElement('div');
+        panel.style.display = 'none';
+        panel.style.flexDirection = 'column';
+        panel.style.gap = '6px';
+        panel.style.padding = '12px';
+        panel.style.width = '240px';
+        panel.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+        panel.style.color = '#333';
+
+        const row = (...children) => {
+            const element = document.createElement('div');
+            element.style.display = 'flex';
+            element.style.alignItems = 'center';
+            element.style.gap = '6px';
+            element.append(...children);
+            return element;
+        };
+        const checkbox = (label, checked, onChange) => {
+            const element = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = checked;
+            input.onchange = () => onChange(input.checked);
+            element.append(input, ` ${label}`);
+            return { element, input };
+        };
+
+        const addButtons = ['x', 'y', 'z'].map(axis => {
+            const button = this.createButton(axis.toUpperCase(), () => section.addPlane(axis));
+            button.title = `Add a plane across the ${axis.toUpperCase()} axis`;
+            return button;
+        });
+
+        const modeSelect = document.createElement('select');
+        modeSelect.add(new Option('Move', 'translate'));
+        modeSelect.add(new Option('Rotate', 'rotate'));
+        modeSelect.onchange = () => section.setGizmoMode(modeSelect.value);
+
+        // Follows the selection while ticked.
+        const selectedOnly = checkbox('Selected part only', false, () => updateTargets());
+        const updateTargets = () => {
+            const selected = this.viewer.selection.selectedName;
+            section.setTargets(selectedOnly.input.checked && selected !== null ? [selected] : null);
+        };
+        this.viewer.addEventListener('select', () => {
+            if (selectedOnly.input.checked) updateTargets();
+        });
+        const caps = checkbox('Cap cut faces', true, (checked) => section.setCapsVisible(checked));
+
+        const list = document.createElement('div');
+        list.style.display = 'flex';
+        list.style.flexDirection = 'column';
+        list.style.gap = '4px';
+
+        panel.append(
+            row('Add plane', ...addButtons),
+            row('Gizmo', modeSelect),
+            selectedOnly.element,
+            caps.element,
+            list
+        );
+
+        // The list is rebuilt when planes come and go; gizmo drags only move
+        // the sliders.
+        let rows = [];
+        const updateList = () => {
+            if (rows.length !== section.sections.length) {
+                rows = section.sections.map((entry, index) => {
+                    const radio = document.createElement('input');
+                    radio.type = 'radio';
+                    radio.name = 'section-plane';
+                    radio.title = 'Attach the gizmo';
+                    radio.onchange = () => section.select(index);
+
+                    const slider = document.createElement('input');
+                    slider.type = 'range';
+                    slider.min = '-1';
+                    slider.max = '1';
+                    slider.step = '0.01';
+                    slider.style.flex = '1';
+                    slider.style.minWidth = '0';
+                    slider.oninput = () => section.setOffset(index, Number(slider.value) * section.radius);
+
+                    const flipButton = this.createButton('⇅', () => section.flip(index));
+                    flipButton.title = 'Flip';
+                    const removeButton = this.createButton('×', () => section.removePlane(index));
+                    removeButton.title = 'Remove';
+                    [flipButton, removeButton].forEach(button => {
+                        button.style.padding = '2px 6px';
+                    });
+                    return { element: row(radio, slider, flipButton, removeButton), radio, slider };
+                });
+                list.replaceChildren(...rows.map(entry => entry.element));
+            }
+            rows.forEach((entry, index) => {
+                entry.radio.checked = index === section.selected;
+                if (document.activeElement !== entry.slider) {
+                    entry.slider.value = String(section.getOffset(index) / section.radius);
+                }
+            });
+        };
+        section.addEventListener('change', updateList);
+
+        const toggleButton = this.createButton('Section', () => {
+            panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+        });
+
+        container.append(panel, toggleButton);
+        this.append(container);
+    }
+
+    // -------------------------------------------------------------------------
+    // Assembly Guide
+    // -------------------------------------------------------------------------
+    createStepPlayer() {
+        const steps = this.viewer.steps;
+
+        const panel = document.createElement('div');
+        panel.style.position = 'absolute';
+        panel.style.bottom = '60px';
+        panel.style.left = '50%';
+        panel.style.transform = 'translateX(-50%)';
+        panel.style.width = 'min(420px, calc(100% - 20px))';
+        panel.style.boxSizing = 'border-box';
+        panel.style.padding = '12px 16px';
+        panel.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+        panel.style.borderLeft = '4px solid #d00024';
+        panel.style.fontFamily = 'sans-serif';
+        panel.style.fontSize = '14px';
+        panel.style.color = '#333';
+        panel.style.zIndex = '1000';
+        panel.style.display = 'none';
+
+        const caption = document.createElement('div');
+        caption.setAttribute('aria-live', 'polite');
+        caption.style.minHeight = '2.5em';
+
+        const track = document.createElement('div');
+        track.style.height = '4px';
+        track.style.margin = '10px 0';
+        track.style.backgroundColor = '#ddd';
+        const bar = document.createElement('div');
+        bar.style.height = '100%';
+        bar.style.width = '0';
+        bar.style.backgroundColor = '#d00024';
+        track.appendChild(bar);
+
+        const counter = document.createElement('span');
+        counter.style.flex = '1';
+        const previousButton = this.createButton('Previous', () => steps.previous());
+        const playButton = this.createButton('Play', () => {
+            if (steps.playing) {
+                steps.pause();
+            } else {
+                steps.play();
+            }
+        });
+        const nextButton = this.createButton('Next', () => steps.next());
+        const closeButton = this.createButton('Close', () => steps.stop());
+
+        const controls = document.createElement('div');
+        controls.style.display = 'flex';
+        controls.style.alignItems = 'center';
+        controls.style.gap = '6px';
+        controls.append(counter, previousButton, playButton, nextButton, closeButton);
+
+        panel.append(caption, track, controls);
+        this.append(panel);
+
+        steps.addEventListener('change', () => {
+            if (!steps.active) {
+                panel.style.display = 'none';
+                return;
+            }
+            const step = steps.steps[steps.index];
+            panel.style.display = 'block';
+            caption.textContent = step.caption;
+            counter.textContent = `Step ${steps.index + 1} of ${steps.steps.length}`;
+            // The bar fills up over the step's own transition.
+            bar.style.transition = `width ${step.duration}s ease-in-out`;
+            bar.style.width = `${((steps.index + 1) / steps.steps.length) * 100}%`;
+            previousButton.disabled = steps.index === 0;
+            nextButton.disabled = steps.index === steps.steps.length - 1;
+            playButton.textContent = steps.playing ? 'Pause' : 'Play';
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // AR Placement
+    // -------------------------------------------------------------------------
+    createPlacementControls(arPlacement) {
+        const resetPlacementButton = this.createButton('Reset Placement', () => arPlacement.resetPlacement());
+        resetPlacementButton.style.position = 'absolute';
+        resetPlacementButton.style.bottom = '80px';
+        resetPlacementButton.style.left = '50%';
+        resetPlacementButton.style.transform = 'translateX(-50%)';
+        resetPlacementButton.style.zIndex = '1000';
+        resetPlacementButton.style.display = 'none';
+        this.append(resetPlacementButton);
+
+        arPlacement.addEventListener('place', () => {
+            resetPlacementButton.style.display = 'block';
+        });
+        arPlacement.addEventListener('reset', () => {
+            resetPlacementButton.style.display = 'none';
+        });
+        arPlacement.addEventListener('end', () => {
+            resetPlacementButton.style.display = 'none';
+        });
+    }
+
+    dispose() {
+        clearTimeout(this.announceTimeout);
+        if (this.offlineHandlers) {
+            Object.entries(this.offlineHandlers).forEach(([type, handler]) => this.viewer.offline.removeEventListener(type, handler));
+        }
+        Object.entries(this.dropHandlers).forEach(([type, handler]) => this.root.removeEventListener(type, handler));
+        this.elements.forEach(element => element.remove());
+        this.elements.length = 0;
+    }
+}
@@ -0,0 +1,139 @@
+import * as THREE from 'three';
+
+// Switches material variants live on the loaded parts. Variants come from two
+// places and are matched by name:
+//
+// - KHR_materials_variants in the part GLBs, which swap whole materials.
+// - "variants" in the product manifest, which override material properties
+//   per part on top of that:
+//
+//   "variants": [
+//       { "name": "Red", "swatch": "#d00024", "parts": {
+//           "handle": { "color": "#d00024", "roughness": 0.8 },
+//           "handguard": { "material": "TPE", "color": "#d00024" }
+//       } }
+//   ]
+//
+// A part override may name a "material" to only change materials with that name.
+const OVERRIDE_PROPERTIES = ['color', 'roughness', 'metalness', 'opacity'];
+
+export class VariantManager extends THREE.EventDispatcher {
+    constructor(productManager) {
+        super();
+        this.productManager = productManager;
+        this.manifestVariants = [];
+        this.current = null;
+        this.originalMaterials = new WeakMap();
+        this.overrideMaterials = new Set();
+    }
+
+    setManifestVariants(variants = []) {
+        this.manifestVariants = variants;
+        this.current = null;
+    }
+
+    // Variant names in manifest order, followed by any only found in the GLBs.
+    getVariants() {
+        const variants = this.manifestVariants.map(variant => ({ name: variant.name, swatch: variant.swatch || null }));
+        this.productManager.gltfs.forEach(gltf => {
+            getGltfVariants(gltf).forEach(name => {
+                if (!variants.some(variant => variant.name === name)) {
+                    variants.push({ name, swatch: null });
+                }
+            });
+        });
+        return variants;
+    }
+
+    // Pass null to go back to the materials the parts were loaded with.
+    async select(name) {
+        const manifestVariant = this.manifestVariants.find(variant => variant.name === name) || null;
+        if (name !== null && !this.getVariants().some(variant => variant.name === name)) {
+            throw new Error(`Unknown variant: ${name}`);
+        }
+
+        const overrides = manifestVariant ? manifestVariant.parts || {} : {};
+        const previousOverrides = Array.from(this.overrideMaterials);
+        this.overrideMaterials.clear();
+
+        await Promise.all(Array.from(this.productManager.parts, ([partName, model]) => {
+            return this.applyToPart(model, this.productManager.gltfs.get(partName), name, overrides[partName]);
+        }));
+
+        previousOverrides.forEach(material => material.dispose());
+        this.current = name;
+        this.dispatchEvent({ type: 'change', name });
+    }
+
+    async applyToPart(model, gltf, name, override) {
+        const extension = gltf ? getVariantsExtension(gltf) : null;
+        const variantIndex = extension ? extension.variants.findIndex(variant => variant.name === name) : -1;
+
+        const meshes = [];
+        model.traverse(node => {
+            if (node.isMesh) meshes.push(node);
+        });
+
+        await Promise.all(meshes.map(async (mesh) => {
+            if (!this.originalMaterials.has(mesh)) {
+                this.originalMaterials.set(mesh, mesh.material);
+            }
+
+            const meshExtension = mesh.userData.gltfExtensions && mesh.userData.gltfExtensions.KHR_materials_variants;
+            const mapping = meshExtension && variantIndex !== -1
+                ? meshExtension.mappings.find(entry => entry.variants.includes(variantIndex))
+                : null;
+
+            if (mapping) {
+                mesh.material = await gltf.parser.getDependency('material', mapping.material);
+                gltf.parser.assignFinalMaterial(mesh);
+            } else {
+                mesh.material = this.originalMaterials.get(mesh);
+            }
+
+            if (override) {
+                mesh.material = Array.isArray(mesh.material)
+                    ? mesh.material.map(material => this.applyOverride(material, override))
+                    : this.applyOverride(mesh.material, override);
+            }
+        }));
+    }
+
+    applyOverride(material, override) {
+        if (override.material && material.name !== override.material) {
+            return material;
+        }
+
+        const clone = material.clone();
+        OVERRIDE_PROPERTIES.forEach(property => {
+            if (override[property] === undefined || clone[property] === undefined) return;
+            if (property === 'color') {
+                clone.color.set(override.color);
+            } else {
+                clone[property] = override[property];
+            }
+        });
+        if (override.opacity !== undefined) {
+            clone.transparent = override.opacity < 1;
+        }
+        this.overrideMaterials.add(clone);
+        return clone;
+    }
+
+    // Forget the current variant, e.g. when the parts are about to be replaced.
+    clear() {
+        this.overrideMaterials.forEach(material => material.dispose());
+        this.overrideMaterials.clear();
+        this.current = null;
+    }
+}
+
+function getVariantsExtension(gltf) {
+    const extensions = gltf.userData && gltf.userData.gltfExtensions;
+    return extensions ? extensions.KHR_materials_variants || null : null;
+}
+
+function getGltfVariants(gltf) {
+    const extension = getVariantsExtension(gltf);
+    return extension ? extension.variants.map(variant => variant.name) : [];
+}
@@ -0,0 +1,120 @@
+// Compact URL hash encoding of the viewer state returned by
+// ProductViewer.getState(), e.g.
+//
+//   #c=0.1,0.2,0.35,0,0.05,0&p=1:0.02,0,0;3:0,0.1,0,0,0.7071,0,0.7071&x=0.5&s=handle&v=Mint
+//
+//   c   camera position and orbit target
+//   p   moved parts as <index>:<position>[,<quaternion>[,<scale>]], where the
+//       index is the part's position in the manifest and scale is a single
+//       number when uniform
+//   x   exploded view factor
+//   s   selected part
+//   e   lighting preset id or environment map URL, when not the product default
+//   v   material variant
+const DECIMALS = 4;
+
+export function encodeState(state) {
+    const params = new URLSearchParams();
+
+    params.set('c', formatNumbers([...state.camera.position, ...state.camera.target]));
+
+    // Uploaded parts aren't in the manifest and can't be restored from a link.
+    const parts = state.parts
+        .filter(part => part.moved && part.index !== null)
+        .map(part => `${part.index}:${formatTransform(part)}`);
+    if (parts.length > 0) {
+        params.set('p', parts.join(';'));
+    }
+    if (state.explode > 0) {
+        params.set('x', formatNumbers([state.explode]));
+    }
+    if (state.selected !== null) {
+        params.set('s', state.selected);
+    }
+    if (state.environment) {
+        params.set('e', state.environment);
+    }
+    if (state.variant !== null) {
+        params.set('v', state.variant);
+    }
+
+    // Commas, colons and semicolons are safe in a fragment, keep them readable.
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':').replace(/%3B/g, ';');
+}
+
+// Returns a partial state: only what the hash contains is set. Part entries
+// are keyed by their index in the manifest.
+export function decodeState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    const camera = parseNumbers(params.get('c'));
+    if (camera && camera.length === 6) {
+        state.camera = { position: camera.slice(0, 3), target: camera.slice(3, 6) };
+    }
+
+    if (params.has('p')) {
+        state.parts = {};
+        params.get('p').split(';').forEach(entry => {
+            const [index, values] = entry.split(':');
+            const transform = parseTransform(parseNumbers(values));
+            if (transform && /^\d+$/.test(index)) {
+                state.parts[index] = transform;
+            }
+        });
+    }
+
+    const explode = parseNumbers(params.get('x'));
+    if (explode) {
+        state.explode = explode[0];
+    }
+    if (params.has('s')) {
+        state.selected = params.get('s');
+    }
+    if (params.has('e')) {
+        state.environment = params.get('e');
+    }
+    if (params.has('v')) {
+        state.variant = params.get('v');
+    }
+
+    return Object.keys(state).length > 0 ? state : null;
+}
+
+function formatNumbers(values) {
+    return values.map(value => {
+        const rounded = Number(value.toFixed(DECIMALS));
+        return String(Object.is(rounded, -0) ? 0 : rounded);
+    }).join(',');
+}
+
+function formatTransform({ position, quaternion, scale }) {
+    const values = [...position];
+    const identityRotation = quaternion[0] === 0 && quaternion[1] === 0 && quaternion[2] === 0 && quaternion[3] === 1;
+    const uniformScale = scale[0] === scale[1] && scale[1] === scale[2];
+    const unitScale = uniformScale && scale[0] === 1;
+
+    if (!identityRotation || !unitScale) {
+        values.push(...quaternion);
+    }
+    if (!unitScale) {
+        values.push(...(uniformScale ? [scale[0]] : scale));
+    }
+    return formatNumbers(values);
+}
+
+function parseNumbers(value) {
+    if (!value) return null;
+    const numbers = value.split(',').map(Number);
+    return numbers.every(Number.isFinite) ? numbers : null;
+}
+
+function parseTransform(values) {
+    if (!values || ![3, 7, 8, 10].includes(values.length)) return null;
+    const scale = values.length === 8 ? [values[7], values[7], values[7]] : values.slice(7, 10);
+    return {
+        position: values.slice(0, 3),
+        quaternion: values.length >= 7 ? values.slice(3, 7) : [0, 0, 0, 1],
+        scale: scale.length === 3 ? scale : [1, 1, 1]
+    };
+}
@@ -0,0 +1,194 @@
+// Service worker that keeps the viewer working offline, e.g. on trade-show
+// Wi-Fi. The app shell (pages, scripts, vendored three.js and decoders) is
+// cached on install. Product assets (GLBs and HDRs) are cached the first time
+// they are fetched, and the page asks for all of a product's assets to be
+// cached once it has loaded, see js/OfflineCache.js.
+//
+// Bump CACHE_VERSION when the shell changes: the new worker caches it afresh
+// and deletes the caches of the old version. A product manifest with a
+// "version" adds it to its asset URLs, which replaces the cached copies of
+// those assets.
+const CACHE_VERSION = 1;
+const SHELL_CACHE = `product-viewer-shell-v${CACHE_VERSION}`;
+const ASSET_CACHE = `product-viewer-assets-v${CACHE_VERSION}`;
+
+const SHELL = [
+    './',
+    'index.html',
+    'embed.html',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'products/kool-mandoline.json',
+    'js/app.js',
+    'js/ARPlacement.js',
+    'js/CameraController.js',
+    'js/CaptureManager.js',
+    'js/ExplodedView.js',
+    'js/ExportManager.js',
+    'js/FileUpload.js',
+    'js/GifEncoder.js',
+    'js/GroundStage.js',
+    'js/HotspotManager.js',
+    'js/InteractionManager.js',
+    'js/LightingManager.js',
+    'js/MeasureTool.js',
+    'js/ModelInspector.js',
+    'js/OfflineCache.js',
+    'js/PartGizmo.js',
+    'js/PartSnapping.js',
+    'js/ProductManager.js',
+    'js/ProductManifest.js',
+    'js/ProductViewer.js',
+    'js/ProductViewerElement.js',
+    'js/QualityManager.js',
+    'js/SceneManager.js',
+    'js/SectionView.js',
+    'js/SelectionManager.js',
+    'js/StepSequencer.js',
+    'js/TransformHistory.js',
+    'js/UIManager.js',
+    'js/VariantManager.js',
+    'js/ViewState.js',
+    'vendor/es-module-shims/es-module-shims.js',
+    'vendor/three/build/three.module.js',
+    'vendor/three/examples/jsm/controls/DragControls.js',
+    'vendor/three/examples/jsm/controls/OrbitControls.js',
+    'vendor/three/examples/jsm/controls/TransformControls.js',
+    'vendor/three/examples/jsm/environments/RoomEnvironment.js',
+    'vendor/three/examples/jsm/exporters/GLTFExporter.js',
+    'vendor/three/examples/jsm/exporters/USDZExporter.js',
+    'vendor/three/examples/jsm/libs/fflate.module.js',
+    'vendor/three/examples/jsm/libs/ktx-parse.module.js',
+    'vendor/three/examples/jsm/libs/zstddec.module.js',
+    'vendor/three/examples/jsm/loaders/DRACOLoader.js',
+    'vendor/three/examples/jsm/loaders/GLTFLoader.js',
+    'vendor/three/examples/jsm/loaders/KTX2Loader.js',
+    'vendor/three/examples/jsm/loaders/RGBELoader.js',
+    'vendor/three/examples/jsm/objects/Reflector.js',
+    'vendor/three/examples/jsm/shaders/HorizontalBlurShader.js',
+    'vendor/three/examples/jsm/shaders/VerticalBlurShader.js',
+    'vendor/three/examples/jsm/utils/BufferGeometryUtils.js',
+    'vendor/three/examples/jsm/utils/TextureUtils.js',
+    'vendor/three/examples/jsm/utils/WorkerPool.js',
+    'vendor/three/examples/jsm/webxr/ARButton.js',
+    'vendor/draco/draco_decoder.js',
+    'vendor/draco/draco_decoder.wasm',
+    'vendor/draco/draco_wasm_wrapper.js',
+    'vendor/basis/basis_transcoder.js',
+    'vendor/basis/basis_transcoder.wasm',
+    'vendor/meshopt/meshopt_decoder.module.js'
+];
+
+// Large files that don't change under the same URL: served from the cache
+// without asking the network.
+const ASSET_PATTERN = /\.(glb|gltf|bin|hdr|ktx2|jpe?g|png|webp|wasm)$/i;
+
+self.addEventListener('install', (event) => {
+    // 'reload' skips the HTTP cache, so a new version doesn't cache old files.
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('product-viewer-') && key !== SHELL_CACHE && key !== ASSET_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || request.headers.has('range')) return;
+
+    if (ASSET_PATTERN.test(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+});
+
+// { type: 'precache', urls } on a MessageChannel port. Progress is posted
+// back as { type: 'progress', loaded, failed, total } and the result as
+// { type: 'done', cached, failed }.
+self.addEventListener('message', (event) => {
+    const { data, ports } = event;
+    if (!data || data.type !== 'precache' || !ports[0]) return;
+    event.waitUntil(precache(data.urls, ports[0]));
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(ASSET_CACHE);
+        await cache.put(request, response.clone());
+        await removeOtherVersions(cache, request.url);
+    }
+    return response;
+}
+
+// Pages, scripts and manifests come from the cache straight away, so flaky
+// Wi-Fi never holds up the viewer, and are updated in the background for the
+// next visit.
+async function staleWhileRevalidate(request, event) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const update = fetch(request).then(async (response) => {
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => {
+        // Offline: the cached copy is all there is.
+    }));
+    return cached;
+}
+
+async function precache(urls, port) {
+    const cache = await caches.open(ASSET_CACHE);
+    const total = urls.length;
+    let loaded = 0;
+    let failed = 0;
+    port.postMessage({ type: 'progress', loaded, failed, total });
+
+    for (const url of urls) {
+        try {
+            if (!await cache.match(url)) {
+                const response = await fetch(url, { cache: 'reload' });
+                if (!response.ok) {
+                    throw new Error(`${response.status}`);
+                }
+                await cache.put(url, response);
+                await removeOtherVersions(cache, url);
+            }
+            loaded++;
+        } catch (error) {
+            console.warn(`Could not cache ${url}:`, error);
+            failed++;
+        }
+        port.postMessage({ type: 'progress', loaded, failed, total });
+    }
+    port.postMessage({ type: 'done', cached: loaded, failed });
+}
+
+// Cached copies of the same file with another query, i.e. an older version.
+async function removeOtherVersions(cache, url) {
+    const current = new URL(url);
+    const requests = await cache.keys();
+    await Promise.all(requests.map(request => {
+        const other = new URL(request.url);
+        return other.pathname === current.pathname && other.href !== current.href ? cache.delete(request) : null;
+    }));
+}